@@ -16,12 +16,17 @@
 
 import GetAnnouncementsStudent from '../data/GetAnnouncementsStudent';
 import GradeOverview from '../data/GradeOverview';
+import CourseClassAssessments from '../data/CourseClassAssessments';
+import CourseClassForums from '../data/CourseClassForums';
+import GetForumPosts from '../data/GetForumPosts';
 import AssessmentFeedback from '../data/AssessmentFeedback';
+import AssessmentStatistics from '../data/AssessmentStatistics';
 import HeaderFields from '../data/HeaderFields';
 import GetInboxLeftPanelNotification from '../data/GetInboxLeftPanelNotification';
 import getPostsByInboxForumId from '../data/getPostsByInboxForumId';
 import AddStudentGradeSeenDateTime from '../data/AddStudentGradeSeenDateTime';
 import markPostsAsRead from '../data/markPostsAsRead';
+import CreateInboxPost from '../data/CreateInboxPost';
 
 export class GatewayController {
 	static GetAnnouncementsStudent({ courseClassId }) {
@@ -30,9 +35,21 @@ export class GatewayController {
 	static GradeOverview({ courseClassSlugId, courseClassUserIds }) {
 		return GradeOverview;
 	}
+	static CourseClassAssessments({ courseClassSlugId }) {
+		return CourseClassAssessments;
+	}
+	static CourseClassForums({ courseClassSlugId }) {
+		return CourseClassForums;
+	}
+	static GetForumPosts({ forumId }) {
+		return GetForumPosts;
+	}
 	static AssessmentFeedback({ assessmentId, userId }) {
 		return AssessmentFeedback;
 	}
+	static AssessmentStatistics({ assessmentId }) {
+		return AssessmentStatistics;
+	}
 	static HeaderFields({ userId: uid, skipClasses, skipInboxCount }) {
 		return HeaderFields;
 	}
@@ -48,4 +65,7 @@ export class GatewayController {
 	static markPostsAsRead({}) {
 		return markPostsAsRead;
 	}
+	static CreateInboxPost({ forumId, content }) {
+		return CreateInboxPost;
+	}
 }
@@ -15,7 +15,7 @@
  */
 
 import express from 'express';
-import { gateway, refreshToken, tokenValidate } from './routes';
+import { channels, gateway, refreshToken, resource, tokenValidate } from './routes';
 
 const app = express();
 
@@ -26,9 +26,12 @@ const app = express();
 
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(express.text());
 
 app.use('/gateway', gateway);
 app.use('/refresh-token', refreshToken);
+app.use('/resource', resource);
 app.use('/token-validate', tokenValidate);
+app.use('/channels', channels);
 
 app.listen(3000, () => console.info('API listening on port 3000'));
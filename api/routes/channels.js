@@ -0,0 +1,28 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import express from 'express';
+
+const router = express.Router();
+
+//stand-in for the delivery channels a user can configure, e.g. http://localhost:3000/channels/ntfy
+router.post('/:channel', async (req, res) => {
+	console.log(`channel: ${req.params.channel}`);
+	console.log(req.get('content-type')?.includes('json') ? JSON.stringify(req.body, null, 2) : req.body);
+	res.status(204).send();
+});
+
+export { router as channels };
@@ -14,6 +14,8 @@
  * along with this program. If not, see <http://www.gnu.org/licenses/>.
  */
 
+export * from './channels';
 export * from './gateway';
 export * from './refresh-token';
+export * from './resource';
 export * from './token-validate';
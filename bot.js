@@ -243,7 +243,10 @@ class DiscordHaloBot extends Client {
 				...options,
 				components: [new ConfirmInteraction()],
 			});
-			const res = await msg.awaitInteractionFromUser({ user: intr.user });
+			const res = await msg.awaitMessageComponent({
+				filter: (i) => i.user.id === intr.user.id,
+				time: 60000,
+			});
 			//remove components
 			await res.update({ components: [] });
 			return res.customId === 'confirm';
@@ -253,6 +256,66 @@ class DiscordHaloBot extends Client {
 		}
 	}
 
+	/**
+	 * Reply to an interaction with a set of pages that the user can flip through with 'Previous' and 'Next' buttons
+	 * @param {Object} args Destructured arguments. `options` will be passed to `this.intrReply()` as params
+	 * @param {Interaction} args.intr Discord.js `Interaction`
+	 * @param {EmbedBase[]} args.embeds Embeds to paginate, one per page
+	 * @param {number} [args.time] How long, in milliseconds, the buttons will respond to the user for
+	 * @returns {Promise<Message>} The reply that was sent
+	 */
+	async intrPaginate({ intr, embeds, time = 1000 * 60 * 5, ...options }) {
+		let page = 0;
+		const components = () =>
+			embeds.length > 1
+				? [
+						{
+							components: [
+								{
+									type: 2,
+									style: 2,
+									custom_id: 'paginate-prev',
+									label: 'Previous',
+									disabled: page === 0,
+								},
+								{
+									type: 2,
+									style: 2,
+									custom_id: 'paginate-page',
+									label: `${page + 1} of ${embeds.length}`,
+									disabled: true,
+								},
+								{
+									type: 2,
+									style: 2,
+									custom_id: 'paginate-next',
+									label: 'Next',
+									disabled: page === embeds.length - 1,
+								},
+							],
+							type: 1,
+						},
+				  ]
+				: [];
+
+		const msg = await this.intrReply({ intr, embed: embeds[page], components: components(), ...options });
+		if (embeds.length < 2) return msg;
+
+		msg.createMessageComponentCollector({
+			filter: ({ user, customId }) =>
+				user.id === intr.user.id && ['paginate-prev', 'paginate-next'].includes(customId),
+			time,
+		})
+			.on('collect', (btn) => {
+				page = Math.min(Math.max(page + (btn.customId === 'paginate-next' ? 1 : -1), 0), embeds.length - 1);
+				btn.update({ embeds: [embeds[page]], components: components() }).catch((err) =>
+					Logger.error(`intrPaginate update err: ${err}`)
+				);
+			})
+			.on('end', () => intr.editReply({ components: [] }).catch(() => {}));
+		return msg;
+	}
+
 	// ----- Other Methods -----
 	/**
 	 * Checks if a user has mod permissions on the main server.
@@ -292,6 +355,31 @@ class DiscordHaloBot extends Client {
 		return `<t:${(timestamp / 1000) | 0}:${letter}>`;
 	}
 
+	/**
+	 * Get the wall-clock time in a particular timezone
+	 * @param {string} timezone IANA timezone identifier, e.g. `America/Phoenix`
+	 * @param {Date} [date] The moment in time to convert, default is now
+	 * @returns {{hour: number, minute: number, weekday: number}} `weekday` is 0 for Sunday through 6 for Saturday
+	 */
+	getLocalTime(timezone, date = new Date()) {
+		const parts = Object.fromEntries(
+			new Intl.DateTimeFormat('en-US', {
+				timeZone: timezone,
+				hourCycle: 'h23',
+				hour: 'numeric',
+				minute: 'numeric',
+				weekday: 'short',
+			})
+				.formatToParts(date)
+				.map(({ type, value }) => [type, value])
+		);
+		return {
+			hour: +parts.hour,
+			minute: +parts.minute,
+			weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+		};
+	}
+
 	/**
 	 * Construct an Discord.js emoji from destructured parameters (such as Firestore data)
 	 * @param {Object} args Destructured arguments, see `Emoji` constructor
@@ -18,8 +18,24 @@ import { LocalCache } from './classes';
 
 // map should be used for single-depth cache structures
 export const CLASS_ANNOUNCEMENTS = new LocalCache({ path: 'class_announcements' });
+// { announcementId: { uid: messageId } }, the DMs that were sent for each announcement
+export const ANNOUNCEMENT_MESSAGES = new LocalCache({ path: 'announcement_messages' });
+// { announcementId: { uid: timestamp } }, when each user marked an announcement as read
+export const ACKNOWLEDGED_ANNOUNCEMENTS = new LocalCache({ path: 'acknowledged_announcements' });
 export const USER_GRADES = new LocalCache({ path: 'user_grades', type: 'object' });
+// { classId: { uid: { finalPoints: number, gradeValue: string, maxPoints: number } } }
+export const USER_FINAL_GRADES = new LocalCache({ path: 'user_final_grades', type: 'object' });
+// { classId: { uid: [{ timestamp, finalPoints, maxPoints, gradeValue, assessmentIds: string[] }] } }, oldest first
+export const USER_GRADE_TRENDS = new LocalCache({ path: 'user_grade_trends', type: 'object' });
 export const USER_INBOX = new LocalCache({ path: 'user_inbox', type: 'object' });
+export const CLASS_ASSESSMENTS = new LocalCache({ path: 'class_assessments' });
+// { classId: [{ ...forum, posts: [post] }] }
+export const CLASS_FORUMS = new LocalCache({ path: 'class_forums' });
+/*
+    { uid: { assessmentId: { hours: number, dueDate: string } } }
+    `hours` is the most recent reminder threshold sent, 0 if the assessment was submitted
+*/
+export const USER_DUE_DATE_REMINDERS = new LocalCache({ path: 'user_due_date_reminders' });
 /*
     { 
         classId: {
@@ -28,6 +44,8 @@ export const USER_INBOX = new LocalCache({ path: 'user_inbox', type: 'object' })
             name: string
             slugId: string
             stage: string
+            startDate: string
+            endDate: string
         }
     }
  */
@@ -36,5 +54,22 @@ export const CRON_CLASS_STAGES = new LocalCache({ path: 'cron/class_stages' });
     { uid: { classId: { status: 'STATUS' } }, classId2: { status: 'STATUS2' } }
 */
 export const CRON_USER_CLASS_STATUSES = new LocalCache({ path: 'cron/class_user_statuses' });
+// { courseCode: roleId }, the main guild roles created for each course
+export const CRON_COURSE_ROLES = new LocalCache({ path: 'cron/course_roles' });
 export const COOKIES = new LocalCache({ path: 'cookies' });
+// { uid: [{ type, title, courseCode, url, timestamp }] }, notifications held for a user's daily/weekly digest
+export const USER_DIGEST_QUEUE = new LocalCache({ path: 'user_digest_queue' });
+// { uid: [{ message, track, history_id, timestamp }] }, DMs held until a user's quiet hours end
+export const USER_HELD_MESSAGES = new LocalCache({ path: 'user_held_messages' });
+/*
+    { id: { uid, message, track, history_id, attempts, created_on, next_attempt, last_error } }
+    DMs that are waiting to be sent, or to be retried after failing
+*/
+export const DELIVERY_OUTBOX = new LocalCache({ path: 'delivery_outbox' });
+// { id: { uid, message, track, history_id, attempts, created_on, next_attempt, last_error } }, DMs that could not be sent
+export const DELIVERY_DEAD_LETTERS = new LocalCache({ path: 'delivery_dead_letters' });
+// { id: { embeds, created_on } }, embeds that did not fit in a notification, shown with its "Read More" button
+export const DELIVERY_OVERFLOW = new LocalCache({ path: 'delivery_overflow' });
+// { uid: [{ history_id, id, type, class_id, title, courseCode, url, status, timestamp }] }, most recent first
+export const USER_EVENT_HISTORY = new LocalCache({ path: 'user_event_history' });
 export const USER_401s = new LocalCache({ path: 'user_401s' });
@@ -38,6 +38,14 @@ export class Command {
 		throw new Error(`Command ${this.constructor.name} doesn't provide a run method.`);
 	}
 
+	/**
+	 * Respond to an autocomplete interaction for one of this command's options.
+	 * Commands with `autocomplete: true` options should override this
+	 */
+	async autocomplete({ intr, opts }) {
+		return intr.respond([]);
+	}
+
 	/**
 	 * Adds all the properties of a registered `ApplicationCommand` to this `Command`
 	 * @param {ApplicationCommand} appcmd A registered `ApplicationCommand`
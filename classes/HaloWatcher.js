@@ -14,10 +14,25 @@
  * along with this program. If not, see <http://www.gnu.org/licenses/>.
  */
 
+import { createHash } from 'node:crypto';
 import { EventEmitter } from 'node:events';
 import { setIntervalAsync } from 'set-interval-async/fixed';
 import { Firebase, Halo, handle401, HealthManager, Logger } from '.';
-import { CLASS_ANNOUNCEMENTS, USER_GRADES, USER_INBOX } from '../caches';
+import {
+	CLASS_ANNOUNCEMENTS,
+	CLASS_ASSESSMENTS,
+	CLASS_FORUMS,
+	USER_DUE_DATE_REMINDERS,
+	USER_FINAL_GRADES,
+	USER_GRADES,
+	USER_GRADE_TRENDS,
+	USER_INBOX,
+} from '../caches';
+const DEFAULT_REMINDER_HOURS = [72, 24, 2];
+//grade statuses which indicate that the student has turned in the assessment
+const SUBMITTED_GRADE_STATUSES = ['SUBMITTED', 'GRADED', 'PUBLISHED'];
+//roles of class users whose forum posts are worth notifying students about
+const INSTRUCTOR_ROLES = ['FACULTY', 'INSTRUCTOR', 'TEACHING_ASSISTANT'];
 
 export class HaloWatcher extends EventEmitter {
 	constructor() {
@@ -36,6 +51,14 @@ export class HaloWatcher extends EventEmitter {
 			await this.#watchForInboxMessages();
 			HealthManager.record('INBOX_MESSAGES');
 		}, 20000);
+		setIntervalAsync(async () => {
+			await this.#watchForDueDates();
+			HealthManager.record('DUE_DATES');
+		}, 60000);
+		setIntervalAsync(async () => {
+			await this.#watchForForumPosts();
+			HealthManager.record('FORUM_POSTS');
+		}, 60000);
 	}
 
 	/**
@@ -60,6 +83,92 @@ export class HaloWatcher extends EventEmitter {
 		return diff_array;
 	}
 
+	/**
+	 * Hash the user-facing content of an announcement, so edits can be detected
+	 * @param {Object} announcement
+	 * @returns {string}
+	 */
+	#hashAnnouncement({ title, content, startDate, resources }) {
+		return createHash('sha256')
+			.update(JSON.stringify([title, content, startDate, resources]))
+			.digest('hex');
+	}
+
+	/**
+	 * Diff two arrays of announcements by id and content
+	 * @param {Array} new_announcements
+	 * @param {Array} old_announcements
+	 * @returns {{added: Array, updated: Array, removed: Array}} `removed` contains the old announcement objects
+	 */
+	#locateChangedAnnouncements(new_announcements, old_announcements) {
+		const old_hashes = new Map(old_announcements.map((a) => [a.id, this.#hashAnnouncement(a)]));
+		const new_ids = new Set(new_announcements.map(({ id }) => id));
+		return {
+			added: new_announcements.filter(({ id }) => !old_hashes.has(id)),
+			updated: new_announcements.filter(
+				(a) => old_hashes.has(a.id) && old_hashes.get(a.id) !== this.#hashAnnouncement(a)
+			),
+			removed: old_announcements.filter(({ id }) => !new_ids.has(id)),
+		};
+	}
+
+	/**
+	 * returns the grades that are present in both arrays but whose content has changed between them
+	 *
+	 * only the properties present on the old grade are compared, so grades cached before a property
+	 * was added to the query are not mistaken for an update
+	 * @param {Array} new_grades
+	 * @param {Array} old_grades
+	 * @returns {{old_grade: Object, new_grade: Object}[]}
+	 */
+	#locateUpdatedGrades(new_grades, old_grades) {
+		const COMPARED_PROPERTIES = {
+			status: (grade) => grade.status,
+			finalPoints: (grade) => grade.finalPoints,
+			finalComment: (grade) => grade.finalComment?.comment ?? null,
+		};
+
+		const updated = [];
+		for (const new_grade of new_grades) {
+			const old_grade = old_grades.find(({ id }) => id === new_grade.id);
+			if (!old_grade) continue;
+			const changed = Object.entries(COMPARED_PROPERTIES).some(
+				([key, getValue]) => old_grade.hasOwnProperty(key) && getValue(old_grade) !== getValue(new_grade)
+			);
+			changed && updated.push({ old_grade, new_grade });
+		}
+		return updated;
+	}
+
+	/**
+	 * Record a snapshot of a user's overall class grade, if it changed or new grades were published
+	 * @param {Object} args Destructured arguments
+	 * @param {string} args.class_id unique class ID
+	 * @param {string} args.uid Discord UID
+	 * @param {Object} args.finalGrade The user's current `finalGrade`
+	 * @param {string[]} [args.assessment_ids] IDs of the assessments whose grades were just published or changed
+	 * @returns {Promise<void>}
+	 */
+	async #recordGradeTrend({ class_id, uid, finalGrade, assessment_ids = [] }) {
+		const snapshots = USER_GRADE_TRENDS.get([class_id, uid], []);
+		const last = snapshots[snapshots.length - 1];
+		if (
+			!!last &&
+			!assessment_ids.length &&
+			last.finalPoints === finalGrade.finalPoints &&
+			last.maxPoints === finalGrade.maxPoints
+		)
+			return;
+
+		const { finalPoints, maxPoints, gradeValue } = finalGrade;
+		const data = [
+			...snapshots,
+			{ timestamp: Date.now(), finalPoints, maxPoints, gradeValue, assessmentIds: assessment_ids },
+		];
+		USER_GRADE_TRENDS.set([class_id, uid], data);
+		await USER_GRADE_TRENDS.writeCacheFile({ filepath: `${class_id}/${uid}.json`, data });
+	}
+
 	async #watchForAnnouncements() {
 		const { get, set, writeCacheFile } = CLASS_ANNOUNCEMENTS;
 		const getAnnouncements = async function getClassAnnouncementsSafe({ class_id, active_users, metadata }) {
@@ -121,12 +230,16 @@ export class HaloWatcher extends EventEmitter {
 					continue;
 				}
 
-				// === rather than > because teachers can remove announcements
-				if (new_announcements.length === old_announcements.length) continue;
+				//compare by id and content, since teachers can edit and remove announcements
+				const { added, updated, removed } = this.#locateChangedAnnouncements(
+					new_announcements,
+					old_announcements
+				);
+				if (!added.length && !updated.length && !removed.length) continue;
 
-				//at this point, new announcements were detected
+				//at this point, new, updated, or removed announcements were detected
 				Logger.debug(
-					`${course.courseCode}: new_announcements: ${new_announcements.length}, old_announcements: ${old_announcements.length}`
+					`${course.courseCode}: added: ${added.length}, updated: ${updated.length}, removed: ${removed.length}`
 				);
 				//write local cache to file, since changes were detected
 				await writeCacheFile({ filepath: class_id, data: new_announcements });
@@ -144,8 +257,10 @@ export class HaloWatcher extends EventEmitter {
 				};
 
 				// to prevent announcement spam upon bot restart, only emit announcements that were published in past 6 hours
-				for (const announcement of this.#locateDifferenceInArrays(new_announcements, old_announcements))
+				for (const announcement of added)
 					isRecentAnnouncement(announcement) && this.emit('announcement', announcement);
+				for (const announcement of updated) this.emit('announcement_updated', announcement);
+				for (const announcement of removed) this.emit('announcement_removed', announcement);
 			} catch (e) {
 				if (e.code === 401)
 					Logger.unauth(`Received 401 while fetching announcements for course ${course.courseCode}`);
@@ -182,28 +297,43 @@ export class HaloWatcher extends EventEmitter {
 						},
 					});
 					const new_grades = grades.filter((grade) => grade.status === 'PUBLISHED');
+					const old_final_grade = USER_FINAL_GRADES.get([course_id, uid], null);
 					// Logger.debug(old_grades?.length);
 					// Logger.debug(new_grades.length);
 					set([course_id, uid], new_grades); //update local cache
+					USER_FINAL_GRADES.set([course_id, uid], finalGrade);
 
 					//if no old grades, user just installed
 					if (old_grades === null) {
 						writeCacheFile({ filepath: `${course_id}/${uid}.json`, data: new_grades });
+						USER_FINAL_GRADES.writeCacheFile({ filepath: `${course_id}/${uid}.json`, data: finalGrade });
+						await this.#recordGradeTrend({ class_id: course_id, uid, finalGrade });
 						continue;
 					}
 
+					const updated_grades = this.#locateUpdatedGrades(new_grades, old_grades);
+					await this.#recordGradeTrend({
+						class_id: course_id,
+						uid,
+						finalGrade,
+						assessment_ids: [
+							...this.#locateDifferenceInArrays(new_grades, old_grades),
+							...updated_grades.map(({ new_grade }) => new_grade),
+						].map(({ assessment }) => assessment.id),
+					});
+
 					// === rather than > because teachers can remove grades
-					if (new_grades.length === old_grades.length) continue;
+					if (new_grades.length === old_grades.length && !updated_grades.length) continue;
 
-					//at this point, new grades were detected
+					//at this point, new or updated grades were detected
 					// Logger.debug(`new_grades: ${new_grades.length}, old_grades: ${old_grades.length}`);
 					//write local cache to file, since changes were detected
 					await writeCacheFile({ filepath: `${course_id}/${uid}.json`, data: new_grades });
+					await USER_FINAL_GRADES.writeCacheFile({ filepath: `${course_id}/${uid}.json`, data: finalGrade });
 
 					for (const grade of this.#locateDifferenceInArrays(new_grades, old_grades)) {
 						//if the user has already viewed the grade, don't send a notification
 						if (!!grade.userLastSeenDate) continue;
-						// if (!Firebase.getUserSettingValue({ uid, setting_id: 1 })) continue; //check setting inside diff loop to ensure cache was updated
 
 						//fetch the full grade feedback
 						this.emit(
@@ -213,9 +343,33 @@ export class HaloWatcher extends EventEmitter {
 								assessment_id: grade.assessment.id,
 								//TODO: shift to Firebase.getHaloUid() from a Firebase UID
 								uid: await Halo.getUserId({ cookie }), //uid in scope of loop is Firebase uid
+								include_statistics: !!Firebase.getUserSettingValue({ uid, setting_id: 16 }),
+								metadata: {
+									courseCode: course.courseCode,
+									courseClassId: course_id,
+									finalGrade,
+									uid,
+									slugId: course.slugId,
+								},
+							})
+						);
+					}
+
+					for (const { old_grade, new_grade } of updated_grades) {
+						//fetch the full grade feedback
+						this.emit(
+							'grade_updated',
+							await Halo.getGradeFeedback({
+								cookie,
+								assessment_id: new_grade.assessment.id,
+								uid: await Halo.getUserId({ cookie }), //uid in scope of loop is Firebase uid
+								include_statistics: !!Firebase.getUserSettingValue({ uid, setting_id: 16 }),
 								metadata: {
 									courseCode: course.courseCode,
+									courseClassId: course_id,
 									finalGrade,
+									oldFinalGrade: old_final_grade,
+									oldGrade: old_grade,
 									uid,
 									slugId: course.slugId,
 								},
@@ -291,8 +445,7 @@ export class HaloWatcher extends EventEmitter {
 					for (const post of this.#locateDifferenceInArrays(new_inbox_posts, old_inbox_posts)) {
 						//if !post.iRead && post.id is not in cache, then dispatch event
 						if (!!post.isRead) continue;
-						// if (!Firebase.getUserSettingValue({ uid, setting_id: 2 })) continue; //check setting inside diff loop to ensure cache was updated
-						this.emit('inbox_message', { ...post, metadata: { uid } });
+						this.emit('inbox_message', { ...post, metadata: { uid, forumId } });
 					}
 				}
 			} catch (e) {
@@ -305,4 +458,246 @@ export class HaloWatcher extends EventEmitter {
 			}
 		}
 	}
+
+	async #watchForDueDates() {
+		const { get, set, writeCacheFile } = CLASS_ASSESSMENTS;
+		const getAssessments = async function getClassAssessmentsSafe({ class_slug_id, active_users, metadata }) {
+			for (const uid of active_users)
+				try {
+					const cookie = await Firebase.getUserCookie(uid);
+					if (!cookie) continue;
+					const assessments = await Halo.getClassAssessments({
+						class_slug_id,
+						//use the cookie of a user from the course
+						cookie,
+						//inject the readable course code into the response objects
+						metadata,
+					});
+					if (!!assessments) return assessments;
+				} catch (e) {
+					if (e.code === 401)
+						handle401({
+							uid,
+							msg: `[getClassAssessmentsSafe] Received 401 while fetching assessments for course ${metadata?.courseCode} using ${uid} cookie`,
+						});
+					else
+						Logger.error(
+							`[getClassAssessmentsSafe] Non-401 error while fetching assessments for ${
+								metadata?.courseCode
+							} with ${uid} cookie: ${e} ${JSON.stringify(e)}`
+						);
+				}
+			return null;
+		};
+
+		/**
+		 * Get the reminder thresholds a user has opted into, most distant first
+		 * @returns {number[]} Hours before an assessment's due date that a reminder should be sent
+		 */
+		const getReminderHours = function (uid) {
+			const hours = Firebase.getUserSettingValue({ uid, setting_id: 6 }) ?? DEFAULT_REMINDER_HOURS;
+			return (Array.isArray(hours) ? hours : Object.values(hours))
+				.map(Number)
+				.filter((h) => h > 0)
+				.sort((a, b) => b - a);
+		};
+
+		//retrieve all courses that need information fetched
+		const COURSES = await Firebase.getActiveClasses();
+		for (const [class_id, course] of Object.entries(COURSES)) {
+			try {
+				const active_users = Firebase.getActiveUsersInClass(class_id);
+				if (!active_users?.length) continue;
+				const old_assessments = get(class_id) || null;
+				const new_assessments =
+					(await getAssessments({
+						class_slug_id: course.slugId,
+						active_users,
+						metadata: {
+							courseCode: course.courseCode,
+							slugId: course.slugId,
+						},
+					})) ?? old_assessments;
+				if (new_assessments === null) continue;
+				set(class_id, new_assessments);
+
+				//only write to file if the assessments actually changed
+				if (JSON.stringify(new_assessments) !== JSON.stringify(old_assessments))
+					await writeCacheFile({ filepath: class_id, data: new_assessments });
+
+				const upcoming_assessments = new_assessments.filter(
+					({ dueDate }) => new Date(dueDate).getTime() > Date.now()
+				);
+				if (!upcoming_assessments.length) continue;
+
+				for (const uid of active_users) {
+					try {
+						const reminder_hours = getReminderHours(uid);
+						const reminders = USER_DUE_DATE_REMINDERS.get(uid) ?? {};
+						let grades = null; //lazily fetched, only once a reminder is actually due
+						let changed = false;
+
+						for (const assessment of upcoming_assessments) {
+							const hours_left = (new Date(assessment.dueDate).getTime() - Date.now()) / (1000 * 60 * 60);
+							//the most urgent threshold that has been crossed
+							const threshold = reminder_hours.filter((h) => hours_left <= h).pop();
+							if (threshold === undefined) continue;
+							//a reminder for this threshold (or a more urgent one) was already sent
+							if (reminders[assessment.id]?.hours <= threshold) continue;
+
+							if (grades === null) {
+								const cookie = await Firebase.getUserCookie(uid);
+								if (!cookie) break;
+								({ grades } = await Halo.getAllGrades({ class_slug_id: course.slugId, cookie }));
+							}
+							const submitted = grades.some(
+								(grade) =>
+									grade.assessment.id === assessment.id &&
+									SUBMITTED_GRADE_STATUSES.includes(grade.status)
+							);
+
+							reminders[assessment.id] = {
+								hours: submitted ? 0 : threshold,
+								dueDate: assessment.dueDate,
+							};
+							changed = true;
+							if (submitted) continue;
+
+							this.emit('due_date', {
+								...assessment,
+								metadata: { ...assessment.metadata, uid, hours: threshold },
+							});
+						}
+
+						if (!changed) continue;
+						//prune reminders for assessments that are no longer upcoming
+						for (const [assessment_id, { dueDate }] of Object.entries(reminders))
+							new Date(dueDate).getTime() < Date.now() && delete reminders[assessment_id];
+						USER_DUE_DATE_REMINDERS.set(uid, reminders);
+						await USER_DUE_DATE_REMINDERS.writeCacheFile({ filepath: uid, data: reminders });
+					} catch (e) {
+						if (e.code === 401)
+							handle401({
+								uid,
+								msg: `Received 401 while checking ${uid} due dates for course ${course.courseCode}`,
+							});
+						else
+							Logger.error(
+								`Error while checking ${uid} due dates for course ${
+									course.courseCode
+								}: ${e} ${JSON.stringify(e)}`
+							);
+					}
+				}
+			} catch (e) {
+				Logger.error(`Error while fetching assessments for ${course.courseCode}: ${e} ${JSON.stringify(e)}`);
+			}
+		}
+	}
+
+	async #watchForForumPosts() {
+		const { get, set, writeCacheFile } = CLASS_FORUMS;
+		const getForums = async function getClassForumsSafe({ class_slug_id, active_users, metadata, old_forums }) {
+			for (const uid of active_users)
+				try {
+					const cookie = await Firebase.getUserCookie(uid);
+					if (!cookie) continue;
+					const forums = await Halo.getClassForums({
+						class_slug_id,
+						//use the cookie of a user from the course
+						cookie,
+						//inject the readable course code into the response objects
+						metadata,
+					});
+					//only open forums can have new posts; closed forums keep the posts they were last cached with
+					for (const forum of forums)
+						forum.posts =
+							new Date(forum.startDate).getTime() <= Date.now() &&
+							(!forum.endDate || new Date(forum.endDate).getTime() >= Date.now())
+								? await Halo.getForumPosts({ cookie, forum_id: forum.id })
+								: old_forums?.find(({ id }) => id === forum.id)?.posts ?? [];
+					return forums;
+				} catch (e) {
+					if (e.code === 401)
+						handle401({
+							uid,
+							msg: `[getClassForumsSafe] Received 401 while fetching forums for course ${metadata?.courseCode} using ${uid} cookie`,
+						});
+					else
+						Logger.error(
+							`[getClassForumsSafe] Non-401 error while fetching forums for ${
+								metadata?.courseCode
+							} with ${uid} cookie: ${e} ${JSON.stringify(e)}`
+						);
+				}
+			return null;
+		};
+
+		//retrieve all courses that need information fetched
+		const COURSES = await Firebase.getActiveClasses();
+		for (const [class_id, course] of Object.entries(COURSES)) {
+			try {
+				const active_users = Firebase.getActiveUsersInClass(class_id);
+				if (!active_users?.length) continue;
+				const old_forums = get(class_id) || null;
+				const new_forums = await getForums({
+					class_slug_id: course.slugId,
+					active_users,
+					metadata: {
+						courseCode: course.courseCode,
+						slugId: course.slugId,
+					},
+					old_forums,
+				});
+				if (new_forums === null) continue;
+				set(class_id, new_forums);
+
+				//if no old forums, user just installed
+				if (old_forums === null) {
+					await writeCacheFile({ filepath: class_id, data: new_forums });
+					continue;
+				}
+
+				const new_posts = new_forums.flatMap((forum) =>
+					this.#locateDifferenceInArrays(
+						forum.posts,
+						old_forums.find(({ id }) => id === forum.id)?.posts ?? []
+					).map((post) => ({ post, forum }))
+				);
+				if (!new_posts.length) continue;
+
+				//at this point, new posts were detected
+				await writeCacheFile({ filepath: class_id, data: new_forums });
+
+				for (const { post, forum } of new_posts) {
+					if (!INSTRUCTOR_ROLES.includes(post.createdBy?.roleName)) continue;
+					const { posts, ...forum_info } = forum;
+
+					//a top-level post from an instructor is a new discussion question for the entire class
+					if (!post.parentPostId) {
+						for (const uid of active_users)
+							this.emit('forum_post', {
+								...post,
+								forum: forum_info,
+								metadata: { ...forum.metadata, uid, kind: 'question' },
+							});
+						continue;
+					}
+
+					//otherwise, only notify the student whose post was replied to
+					const parent_post = posts.find(({ id }) => id === post.parentPostId);
+					if (!parent_post?.createdBy?.user?.id) continue;
+					const uid = await Firebase.getDiscordUidFromHaloUid(parent_post.createdBy.user.id);
+					if (!active_users.includes(uid)) continue;
+					this.emit('forum_post', {
+						...post,
+						forum: forum_info,
+						metadata: { ...forum.metadata, uid, kind: 'reply', parentPost: parent_post },
+					});
+				}
+			} catch (e) {
+				Logger.error(`Error while fetching forums for ${course.courseCode}: ${e} ${JSON.stringify(e)}`);
+			}
+		}
+	}
 }
@@ -19,12 +19,24 @@ import { Logger, EmbedBase } from '.';
 
 export class HealthManager {
 	static #records = new Map();
+	static #metrics = new Map();
 
 	static record(event) {
 		this.#records.set(event, Date.now());
 		Logger.health(`recorded event: ${event}`);
 	}
 
+	/**
+	 * Record the latest value of a metric, to be included in the next health report
+	 * @param {string} metric
+	 * @param {Object} args Destructured arguments
+	 * @param {string | number} args.value Readable value of the metric
+	 * @param {boolean} [args.unhealthy] Whether the value should flag the health report
+	 */
+	static recordMetric(metric, { value, unhealthy = false }) {
+		this.#metrics.set(metric, { value, unhealthy });
+	}
+
 	static publishLogs() {
 		const flags = [];
 		// find all records that are older than 5min
@@ -36,6 +48,14 @@ export class HealthManager {
 				inline: true,
 			};
 		});
+		for (const [metric, { value, unhealthy }] of this.#metrics) {
+			if (unhealthy) flags.push(metric);
+			fields.push({
+				name: `\`${metric}\``,
+				value: `${value}`,
+				inline: true,
+			});
+		}
 
 		const embed = new EmbedBase({
 			title: 'Health Report',
@@ -74,15 +74,27 @@ function splitMessageRegex(text, { maxLength = 2_000, regex = /\n/g, prepend = '
 	for (const match of text.matchAll(regex)) {
 		addChunk(match.index, match[0]);
 	}
-	addChunk(text.length - 1, '');
+	addChunk(text.length, '');
 	parts.push(curPart + append);
 	return parts;
 }
 
+//Discord's maximum length of an embed field value
+const FIELD_VALUE_MAX_LENGTH = 1024;
+
 //base Embed object, customized for this project
 export class EmbedBase extends MessageEmbed {
+	//the constructor returns an array when an embed is split, so presets can't always be chained; pass these as `color` instead
+	static COLORS = {
+		DEFAULT: 0x2ea2e0,
+		ERROR: 0xf5223c,
+		WARN: 0xf5a122, //0xf59a22 for slightly less bright
+		SUCCESS: 0x31d64d,
+		SENTENCE: 0xe3da32,
+	};
+
 	constructor({
-		color = 0x2ea2e0,
+		color = EmbedBase.COLORS.DEFAULT,
 		title,
 		url,
 		author = {},
@@ -133,20 +145,24 @@ export class EmbedBase extends MessageEmbed {
 	// https://discord.com/developers/docs/resources/channel#embed-limits
 	cleanup() {
 		this.title &&= truncate(this.title.trim(), { length: 255, omission: '\u2026' });
-		this.description &&= truncate(this.description.trim(), { length: 4095, omission: '\u2026' });
-		// I'd like to split the embeds before slicing fields, if possible
+		// a description that is too long continues in unnamed fields, which are split below
+		this.description &&= this.description.trim();
+		if (this.description?.length > 4096) {
+			const [description, ...overflow] = this.splitText(this.description, 4096);
+			this.description = description;
+			this.fields = [...overflow.map((value) => ({ name: '\u200b', value })), ...this.fields];
+		}
 		this.fields = this.fields
 			.flatMap((f) => this.splitField(f))
-			.slice(0, 25)
 			.map((f) => ({
 				...f,
-				name: truncate(f.name.trim(), { length: 255, omission: '\u2026' }),
-				value: truncate(f.value.trim(), { length: 1023, omission: '\u2026' }),
+				name: truncate(f.name.trim(), { length: 255, omission: '\u2026' }) || '\u200b',
+				value: truncate(f.value.trim(), { length: FIELD_VALUE_MAX_LENGTH, omission: '\u2026' }) || '\u200b',
 			}));
 		this.footer.text &&= truncate(this.footer.text.trim(), { length: 2047, omission: '\u2026' });
 		this.author.name &&= truncate(this.author.name.trim(), { length: 255, omission: '\u2026' });
 
-		if (this.char_count > 6000) return this.splitEmbed(this);
+		if (this.char_count > 6000 || this.fields.length > 25) return this.splitEmbed(this);
 
 		return this;
 	}
@@ -157,14 +173,15 @@ export class EmbedBase extends MessageEmbed {
 	 */
 	splitEmbed({ fields = this.fields, embeds = [], ...other } = {}) {
 		if (!fields.length) return embeds;
-		const embed = new EmbedBase(other);
+		//embeds after the first only continue its fields, but keep its color
+		const embed = new EmbedBase(!embeds.length ? other : { color: other.color });
 		embeds.push(embed);
-		while (embed.char_count < 6000 && !!fields.length) {
+		while (embed.char_count < 6000 && embed.fields.length < 25 && !!fields.length) {
 			embed.fields.push(fields.shift());
 		}
 		//remove the last field of this embed because we ended up going over 6000 when exiting the loop
 		if (embed.char_count > 6000) fields.unshift(embed.fields.pop());
-		return this.splitEmbed({ fields, embeds });
+		return this.splitEmbed({ fields, embeds, color: other.color });
 	}
 
 	/**
@@ -179,25 +196,38 @@ export class EmbedBase extends MessageEmbed {
 	 * @returns {Array<Object>} An array of split embed fields
 	 */
 	splitField({ name, value, regex = /\n/g, inline = false } = {}) {
-		return splitMessageRegex(value, { regex, maxLength: 1024 })
-			.reduce(
-				(acc, val) => {
-					const charcount = acc[acc.length - 1].join().length;
-					charcount + val.length > 1024 ? acc.push([val]) : acc[acc.length - 1].push(val);
-					return acc;
-				},
-				[[]]
-			)
-			.map((v, i, a) => ({
-				name: `${name} ${a.length > 1 ? `(${i + 1} of ${a.length})` : ''}`,
-				value: v.join(regex),
-				inline,
-			}));
+		return this.splitText(value, FIELD_VALUE_MAX_LENGTH, regex).map((v, i, a) => ({
+			name: name === '\u200b' ? name : `${name} ${a.length > 1 ? `(${i + 1} of ${a.length})` : ''}`,
+			value: v,
+			inline,
+		}));
+	}
+
+	/**
+	 * Splits a string into parts no longer than `max_length`, preferably on `regex`.
+	 * If a single line is too long, it is split on whitespace instead, and words that are still too long are cut
+	 * @param {string} text The string to split
+	 * @param {number} max_length The maximum length of each part
+	 * @param {RegExp} [regex] Global regex which matches the preferred delimeters to split on
+	 * @returns {string[]}
+	 */
+	splitText(text, max_length, regex = /\n/g) {
+		try {
+			return splitMessageRegex(text, { regex, maxLength: max_length });
+		} catch (e) {
+			if (e?.message !== 'SPLIT_MAX_LEN') throw e;
+			return splitMessageRegex(
+				text.replace(new RegExp(`\\S{${max_length},}`, 'g'), (word) =>
+					word.match(new RegExp(`[^]{1,${max_length - 1}}`, 'g')).join(' ')
+				),
+				{ regex: /\s/g, maxLength: max_length }
+			);
+		}
 	}
 
 	// --------- Presets ---------
 	Error() {
-		this.color = 0xf5223c;
+		this.color = EmbedBase.COLORS.ERROR;
 		return this;
 	}
 
@@ -207,17 +237,17 @@ export class EmbedBase extends MessageEmbed {
 	}
 
 	Warn() {
-		this.color = 0xf5a122; //0xf59a22 for slightly less bright
+		this.color = EmbedBase.COLORS.WARN;
 		return this;
 	}
 
 	Success() {
-		this.color = 0x31d64d;
+		this.color = EmbedBase.COLORS.SUCCESS;
 		return this;
 	}
 
 	Sentence() {
-		this.color = 0xe3da32;
+		this.color = EmbedBase.COLORS.SENTENCE;
 		return this;
 	}
 }
@@ -27,9 +27,18 @@ export * from './events/FirebaseEvent';
 export * from './FirebaseStore';
 export * from './HaloWatcher';
 export * from './services/AnnouncementService';
+export * from './services/CalendarService';
+export * from './services/ChannelService';
+export * from './services/ChartService';
+export * from './services/DeliveryService';
+export * from './services/DigestService';
+export * from './services/DueDateService';
 export * as Firebase from './services/FirebaseService';
+export * from './services/ForumService';
 export * from './services/GradeService';
+export * from './services/HistoryService';
 export * from './services/InboxMessageService';
+export * from './services/MarkdownService';
 export * from './services/401Service';
 export * as Encrypt from './services/EncryptionService';
 export * from './HealthManager';
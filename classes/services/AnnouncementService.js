@@ -14,9 +14,9 @@
  * along with this program. If not, see <http://www.gnu.org/licenses/>.
  */
 
-import { decode } from 'html-entities';
-import { EmbedBase, Firebase, Logger } from '..';
+import { DeliveryService, EmbedBase, Firebase, Logger, MarkdownService } from '..';
 import bot from '../../bot';
+import { ACKNOWLEDGED_ANNOUNCEMENTS, ANNOUNCEMENT_MESSAGES } from '../../caches';
 
 export class AnnouncementService {
 	/**
@@ -27,8 +27,58 @@ export class AnnouncementService {
 			announcement,
 			message: this.#parseAnnouncementData({ announcement }),
 		});
+		this.#mirrorAnnouncement({
+			announcement,
+			message: this.#parseAnnouncementData({ announcement, mirror: true }),
+		});
+	};
+
+	/**
+	 * @param {Object} announcement A raw Halo announcement object, whose content has been edited
+	 */
+	static processAnnouncementUpdate = (announcement) => {
+		this.#editAnnouncement({
+			announcement,
+			message: this.#parseAnnouncementData({ announcement, updated: true }),
+		});
+	};
+
+	/**
+	 * @param {Object} announcement The cached Halo announcement object that has since been removed
+	 */
+	static processAnnouncementRemoval = (announcement) => {
+		this.#editAnnouncement({
+			announcement,
+			message: this.#parseRemovedAnnouncementData({ announcement }),
+			removed: true,
+		});
 	};
 
+	/**
+	 * Record that a user marked an announcement as read in Halo, since Halo does not expose it
+	 * @param {Object} args Desctructured arguments
+	 * @param {string} args.uid Discord UID
+	 * @param {string} args.announcement_id ID of the Halo announcement
+	 * @returns {Promise<void>}
+	 */
+	static async recordAcknowledgement({ uid, announcement_id }) {
+		ACKNOWLEDGED_ANNOUNCEMENTS.update(announcement_id, { [uid]: Date.now() });
+		await ACKNOWLEDGED_ANNOUNCEMENTS.writeCacheFile({
+			filepath: announcement_id,
+			data: ACKNOWLEDGED_ANNOUNCEMENTS.get(announcement_id),
+		});
+	}
+
+	/**
+	 * @param {Object} args Desctructured arguments
+	 * @param {string} args.uid Discord UID
+	 * @param {string} args.announcement_id ID of the Halo announcement
+	 * @returns {boolean} Whether the user has marked the announcement as read
+	 */
+	static isAcknowledged({ uid, announcement_id }) {
+		return !!ACKNOWLEDGED_ANNOUNCEMENTS.get(announcement_id)?.hasOwnProperty(uid);
+	}
+
 	/**
 	 * @param {Object} args Desctructured arguments
 	 * @param {Object} args.announcement A raw Halo announcement object
@@ -36,22 +86,90 @@ export class AnnouncementService {
 	 * @returns {Promise<void>}
 	 */
 	static async #publishAnnouncement({ announcement, message }) {
+		const sent_messages = []; //track sent DMs so they can be edited later
 		//get all active users in the class and send the message to them
 		for (const uid of Firebase.getActiveUsersInClass(announcement.courseClassId)) {
 			try {
-				// if (!Firebase.getUserSettingValue({ uid, setting_id: 0 })) continue;
 				const discord_user = await bot.users.fetch(uid);
-				discord_user
-					.send(message)
-					.catch((e) => Logger.error(`Error sending announcement to ${discord_user.tag} (${uid}): ${e}`));
-				Logger.log(`Announcement DM sent to ${discord_user.tag} (${uid})`);
+				sent_messages.push(
+					DeliveryService.deliver({
+						user: discord_user,
+						message,
+						type: 'announcement',
+						class_id: announcement.courseClassId,
+						summary: {
+							id: announcement.id,
+							title: announcement.title,
+							courseCode: announcement.metadata.courseCode,
+							url: `https://halo.gcu.edu/courses/${announcement.metadata.slugId}/announcements`,
+						},
+						track: { cache: 'ANNOUNCEMENT_MESSAGES', key: announcement.id },
+						resources: announcement.resources.filter(({ kind }) => kind !== 'URL'),
+					})
+						.then((msg) => {
+							if (!msg) return; //muted, queued for a digest, held, or failed to send
+							Logger.log(`Announcement DM sent to ${discord_user.tag} (${uid})`);
+							bot.logDiscord({
+								embed: new EmbedBase({
+									title: 'Announcement Message Sent',
+									fields: [
+										{
+											name: 'Receipient',
+											value: bot.formatUser(discord_user),
+											inline: true,
+										},
+										{
+											name: 'Announcement Title',
+											value: announcement.title,
+											inline: true,
+										},
+										{
+											name: 'Announcement ID',
+											value: announcement.id,
+											inline: false,
+										},
+									],
+								}),
+							});
+						})
+						.catch((e) => Logger.error(`Error sending announcement to ${discord_user.tag} (${uid}): ${e}`))
+				);
+			} catch (e) {
+				Logger.warn(`Error pubishing announcement ${announcement?.id} for user ${uid}: ${e}`);
+			}
+		}
+
+		await Promise.all(sent_messages);
+		ANNOUNCEMENT_MESSAGES.has(announcement.id) &&
+			(await ANNOUNCEMENT_MESSAGES.writeCacheFile({
+				filepath: announcement.id,
+				data: ANNOUNCEMENT_MESSAGES.get(announcement.id),
+			}));
+	}
+
+	/**
+	 * Post an announcement once in each guild channel that is linked to its class
+	 * @param {Object} args Desctructured arguments
+	 * @param {Object} args.announcement A raw Halo announcement object
+	 * @param {Object} args.message A parsed message object that contains no user-specific data
+	 * @returns {Promise<void>}
+	 */
+	static async #mirrorAnnouncement({ announcement, message }) {
+		const channel_ids = Firebase.getClassChannels(announcement.courseClassId);
+		if (!channel_ids.length) return;
+		const paginated_message = await DeliveryService.paginate(message);
+		for (const channel_id of channel_ids) {
+			try {
+				const channel = await bot.channels.fetch(channel_id);
+				await channel.send(paginated_message);
+				Logger.log(`Announcement mirrored to #${channel.name} (${channel_id}) in ${channel.guild?.name}`);
 				bot.logDiscord({
 					embed: new EmbedBase({
-						title: 'Announcement Message Sent',
+						title: 'Announcement Mirrored',
 						fields: [
 							{
-								name: 'Receipient',
-								value: bot.formatUser(discord_user),
+								name: 'Channel',
+								value: `${channel} (${channel.guild?.name})`,
 								inline: true,
 							},
 							{
@@ -68,24 +186,86 @@ export class AnnouncementService {
 					}),
 				});
 			} catch (e) {
-				Logger.warn(`Error pubishing announcement ${announcement?.id} for user ${uid}: ${e}`);
+				Logger.warn(`Error mirroring announcement ${announcement?.id} to channel ${channel_id}: ${e}`);
+			}
+		}
+	}
+
+	/**
+	 * Edit the DMs that were previously sent for an announcement
+	 * @param {Object} args Desctructured arguments
+	 * @param {Object} args.announcement A raw Halo announcement object
+	 * @param {Object} args.message A parsed message object to replace the sent DMs with
+	 * @param {boolean} [args.removed] Whether the announcement was removed, in which case its DMs are no longer tracked
+	 * @returns {Promise<void>}
+	 */
+	static async #editAnnouncement({ announcement, message, removed = false }) {
+		const sent_messages = ANNOUNCEMENT_MESSAGES.get(announcement.id) ?? {};
+		const paginated_message = !!Object.keys(sent_messages).length ? await DeliveryService.paginate(message) : null;
+		for (const [uid, message_id] of Object.entries(sent_messages)) {
+			try {
+				const discord_user = await bot.users.fetch(uid);
+				const dm = await (await discord_user.createDM()).messages.fetch(message_id);
+				await dm.edit(paginated_message);
+				Logger.log(`Announcement DM ${removed ? 'removed' : 'updated'} for ${discord_user.tag} (${uid})`);
+			} catch (e) {
+				Logger.warn(`Error editing announcement ${announcement?.id} DM for user ${uid}: ${e}`);
+			}
+		}
+
+		if (removed) {
+			ANNOUNCEMENT_MESSAGES.delete(announcement.id);
+			await ANNOUNCEMENT_MESSAGES.deleteCacheFile({ filepath: announcement.id });
+			if (ACKNOWLEDGED_ANNOUNCEMENTS.has(announcement.id)) {
+				ACKNOWLEDGED_ANNOUNCEMENTS.delete(announcement.id);
+				await ACKNOWLEDGED_ANNOUNCEMENTS.deleteCacheFile({ filepath: announcement.id });
 			}
 		}
+		if (!Object.keys(sent_messages).length) return;
+
+		bot.logDiscord({
+			embed: new EmbedBase({
+				title: `Announcement Message ${removed ? 'Removed' : 'Updated'}`,
+				fields: [
+					{
+						name: 'Messages Edited',
+						value: Object.keys(sent_messages).length.toString(),
+						inline: true,
+					},
+					{
+						name: 'Announcement Title',
+						value: announcement.title,
+						inline: true,
+					},
+					{
+						name: 'Announcement ID',
+						value: announcement.id,
+						inline: false,
+					},
+				],
+			}),
+		});
 	}
 
 	/**
 	 * @param {Object} args Desctructured arguments
 	 * @param {Object} args.announcement A raw Halo announcement object
+	 * @param {boolean} [args.updated] Whether the announcement was edited after it was originally posted
+	 * @param {boolean} [args.mirror] Whether the message will be posted in a guild channel rather than a DM,
+	 * in which case user-specific components are omitted
 	 * @returns {Object} A message object to be sent straight to Discord
 	 */
-	static #parseAnnouncementData({ announcement }) {
+	static #parseAnnouncementData({ announcement, updated = false, mirror = false }) {
 		//Logger.debug(announcement);
 		const {
 			metadata: { slugId },
 		} = announcement;
+		const { text, images } = MarkdownService.fromHtml(announcement.content);
 
 		return {
-			content: `New announcement posted for **${announcement.metadata.courseCode}**:`,
+			content: `${updated ? 'Announcement updated' : 'New announcement posted'} for **${
+				announcement.metadata.courseCode
+			}**:`,
 			embeds: [
 				new EmbedBase({
 					title: announcement.title,
@@ -93,15 +273,7 @@ export class AnnouncementService {
 					fields: [
 						{
 							name: 'Message',
-							value: decode(
-								announcement.content
-									.replaceAll('<br>', '\n')
-									.replaceAll('</p><p>', '\n') //this is kinda hacky ngl
-									.replaceAll('<li>', '\n\t\u2022 ')
-									.replaceAll('</ol>', '\n')
-									.replaceAll('</ul>', '\n')
-									.replace(/<\/?[^>]+(>|$)/g, '')
-							),
+							value: text || '\u200b',
 						},
 						//TODO: cleanup dry code
 						...(!!announcement.resources.filter(({ kind }) => kind !== 'URL').length
@@ -118,22 +290,64 @@ export class AnnouncementService {
 							  ]
 							: []),
 					],
+					image: !!images.length ? { url: images[0] } : {},
 					timestamp: announcement.publishDate,
 				}),
+				//Discord only shows one image per embed
+				...images.slice(1).map((url) => new EmbedBase({ image: { url } })),
 			],
 			components: [
 				{
 					components: [
+						...(!mirror
+							? [
+									{
+										type: 2,
+										style: 1,
+										custom_id: `$post_${announcement.id}`,
+										disabled: false,
+										label: 'Mark as Read',
+										emoji: {
+											name: '✉',
+										},
+									},
+							  ]
+							: []),
 						{
 							type: 2,
-							style: 1,
-							custom_id: `$post_${announcement.id}`,
-							disabled: false,
-							label: 'Mark as Read',
-							emoji: {
-								name: '✉',
-							},
+							style: 5,
+							label: 'View Announcements',
+							url: `https://halo.gcu.edu/courses/${slugId}/announcements`,
 						},
+					],
+					type: 1,
+				},
+			],
+		};
+	}
+
+	/**
+	 * @param {Object} args Desctructured arguments
+	 * @param {Object} args.announcement The cached Halo announcement object that has since been removed
+	 * @returns {Object} A message object to be sent straight to Discord
+	 */
+	static #parseRemovedAnnouncementData({ announcement }) {
+		const {
+			metadata: { courseCode, slugId },
+		} = announcement;
+
+		return {
+			content: `An announcement for **${courseCode}** was removed:`,
+			embeds: [
+				new EmbedBase({
+					title: `~~${announcement.title}~~`,
+					description: 'This announcement has been removed from Halo by your instructor',
+					timestamp: Date.now(),
+				}).Error(),
+			],
+			components: [
+				{
+					components: [
 						{
 							type: 2,
 							style: 5,
@@ -0,0 +1,201 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { createServer } from 'node:http';
+import { Firebase, Logger } from '..';
+import { CLASS_ANNOUNCEMENTS, CLASS_ASSESSMENTS, CRON_CLASS_STAGES } from '../../caches';
+const PRODUCT_ID = '-//Halo Notification Service//Calendar//EN';
+
+/**
+ * @returns {boolean} Whether every environment variable needed to serve calendar subscriptions is set
+ */
+const isServerConfigured = function () {
+	return !!process.env.CALENDAR_PORT && !!process.env.CALENDAR_URL && !!process.env.CALENDAR_SECRET;
+};
+
+/**
+ * Escape a string for use as an iCalendar TEXT value
+ * @param {string} str
+ * @returns {string}
+ */
+const escapeText = function (str) {
+	return `${str ?? ''}`.replace(/[\\;,]/g, (c) => `\\${c}`).replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Fold a content line so that no line is longer than 75 octets, per RFC 5545
+ * @param {string} line
+ * @returns {string}
+ */
+const foldLine = function (line) {
+	const chunks = [];
+	let chunk = '';
+	for (const char of line) {
+		if (Buffer.byteLength(chunk + char) > (chunks.length ? 74 : 75)) {
+			chunks.push(chunk);
+			chunk = '';
+		}
+		chunk += char;
+	}
+	return [...chunks, chunk].join('\r\n ');
+};
+
+/**
+ * @param {string | number} date Anything accepted by the `Date` constructor
+ * @param {boolean} [all_day] Whether to format the date without a time
+ * @returns {string} An iCalendar DATE-TIME in UTC, or DATE if `all_day`
+ */
+const formatDate = function (date, all_day = false) {
+	const iso = new Date(date).toISOString().replace(/[-:]/g, '');
+	return all_day ? iso.substring(0, 8) : `${iso.substring(0, 15)}Z`;
+};
+
+export class CalendarService {
+	/**
+	 * Generate an iCalendar file of a user's due dates, class start and end dates, and scheduled announcements
+	 * @param {string} uid Discord UID
+	 * @returns {Promise<string>} iCalendar data
+	 */
+	static async generateCalendar(uid) {
+		const classes = await Firebase.getUserActiveClasses(uid);
+		const events = [];
+		for (const class_id of Object.keys(classes)) {
+			const course = { ...classes[class_id], ...CRON_CLASS_STAGES.get(class_id) };
+			const class_url = `https://halo.gcu.edu/courses/${course.slugId}`;
+
+			!!course.startDate &&
+				events.push({
+					uid: `${class_id}-start`,
+					summary: `${course.courseCode} begins`,
+					start: course.startDate,
+					all_day: true,
+					url: class_url,
+				});
+			!!course.endDate &&
+				events.push({
+					uid: `${class_id}-end`,
+					summary: `${course.courseCode} ends`,
+					start: course.endDate,
+					all_day: true,
+					url: class_url,
+				});
+
+			for (const { id, title, dueDate, points, unitTitle } of CLASS_ASSESSMENTS.get(class_id) ?? [])
+				events.push({
+					uid: id,
+					summary: `${course.courseCode}: ${title} due`,
+					description: [unitTitle, points !== null && points !== undefined ? `${points} points` : null]
+						.filter(Boolean)
+						.join('\n'),
+					start: dueDate,
+					url: `${class_url}/assessments/${id}`,
+				});
+
+			for (const { id, title, startDate } of CLASS_ANNOUNCEMENTS.get(class_id) ?? [])
+				new Date(startDate).getTime() > Date.now() &&
+					events.push({
+						uid: id,
+						summary: `${course.courseCode} announcement: ${title}`,
+						start: startDate,
+						url: `${class_url}/announcements`,
+					});
+		}
+
+		const timestamp = formatDate(Date.now());
+		return [
+			'BEGIN:VCALENDAR',
+			'VERSION:2.0',
+			`PRODID:${PRODUCT_ID}`,
+			'CALSCALE:GREGORIAN',
+			'METHOD:PUBLISH',
+			'X-WR-CALNAME:Halo',
+			...events.flatMap(({ uid: event_uid, summary, description, start, all_day = false, url }) => [
+				'BEGIN:VEVENT',
+				`UID:${event_uid}@halo-notification-service`,
+				`DTSTAMP:${timestamp}`,
+				all_day ? `DTSTART;VALUE=DATE:${formatDate(start, true)}` : `DTSTART:${formatDate(start)}`,
+				...(all_day ? [] : [`DTEND:${formatDate(start)}`]),
+				`SUMMARY:${escapeText(summary)}`,
+				...(!!description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+				...(!!url ? [`URL:${url}`] : []),
+				'END:VEVENT',
+			]),
+			'END:VCALENDAR',
+		]
+			.map(foldLine)
+			.join('\r\n')
+			.concat('\r\n');
+	}
+
+	/**
+	 * Generate the secret token that authenticates a user's calendar subscription.
+	 * Tokens are invalidated whenever the user resets their subscription
+	 * @param {string} uid Discord UID
+	 * @returns {string}
+	 */
+	static generateToken(uid) {
+		const version = Firebase.getUserSettingValue({ uid, setting_id: 17 }) ?? 0;
+		return createHmac('sha256', process.env.CALENDAR_SECRET).update(`${uid}:${version}`).digest('hex');
+	}
+
+	/**
+	 * @param {string} uid Discord UID
+	 * @returns {string | null} The URL a calendar app can subscribe to, or `null` if the server is not configured
+	 */
+	static getSubscriptionUrl(uid) {
+		if (!isServerConfigured()) return null;
+		return `${process.env.CALENDAR_URL.replace(/\/$/, '')}/calendar/${uid}.ics?token=${this.generateToken(uid)}`;
+	}
+
+	/**
+	 * Start the HTTP server that serves calendar subscriptions, if `CALENDAR_PORT`, `CALENDAR_URL` and `CALENDAR_SECRET` are all set
+	 * @returns {Server | null}
+	 */
+	static listen() {
+		if (!isServerConfigured()) return null;
+		const port = process.env.CALENDAR_PORT;
+
+		const server = createServer(async (req, res) => {
+			try {
+				const url = new URL(req.url, 'http://localhost');
+				const uid = url.pathname.match(/^\/calendar\/(\d+)\.ics$/)?.[1];
+				if (req.method !== 'GET' || !uid) return res.writeHead(404).end();
+
+				const expected = Buffer.from(this.generateToken(uid));
+				const token = Buffer.from(url.searchParams.get('token') ?? '');
+				if (token.length !== expected.length || !timingSafeEqual(token, expected))
+					return res.writeHead(401).end();
+
+				res.writeHead(200, {
+					'Content-Type': 'text/calendar; charset=utf-8',
+					'Content-Disposition': 'attachment; filename="halo.ics"',
+				}).end(await this.generateCalendar(uid));
+			} catch (e) {
+				Logger.error(`Error serving calendar ${req.url}: ${e}`);
+				res.writeHead(500).end();
+			}
+		}).on('error', (e) => Logger.error(`Calendar server error: ${e}`));
+
+		//an invalid port is thrown rather than emitted
+		try {
+			return server.listen(port, () => Logger.log(`Calendar server listening on port ${port}`));
+		} catch (e) {
+			Logger.error(`Calendar server error: ${e}`);
+			return null;
+		}
+	}
+}
@@ -0,0 +1,300 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import { lookup } from 'node:dns';
+import { lookup as lookupAsync } from 'node:dns/promises';
+import { BlockList, isIP } from 'node:net';
+import sa_request from 'superagent';
+import { DeliveryService, Encrypt, Firebase, Logger } from '..';
+import bot from '../../bot';
+const REQUEST_TIMEOUT = 10000;
+//addresses that a user's delivery channel must never point to, so the bot cannot be used to reach internal services
+const PRIVATE_ADDRESSES = new BlockList();
+for (const [address, prefix, type] of [
+	['0.0.0.0', 8, 'ipv4'], //"this" network
+	['10.0.0.0', 8, 'ipv4'], //private
+	['100.64.0.0', 10, 'ipv4'], //carrier-grade NAT
+	['127.0.0.0', 8, 'ipv4'], //loopback
+	['169.254.0.0', 16, 'ipv4'], //link-local, including cloud metadata services
+	['172.16.0.0', 12, 'ipv4'], //private
+	['192.0.0.0', 24, 'ipv4'], //IETF protocol assignments
+	['192.168.0.0', 16, 'ipv4'], //private
+	['198.18.0.0', 15, 'ipv4'], //benchmarking
+	['224.0.0.0', 4, 'ipv4'], //multicast
+	['240.0.0.0', 4, 'ipv4'], //reserved, including broadcast
+	['::', 128, 'ipv6'], //unspecified
+	['::1', 128, 'ipv6'], //loopback
+	['64:ff9b::', 96, 'ipv6'], //NAT64, which can reach private IPv4 addresses
+	['fc00::', 7, 'ipv6'], //unique local
+	['fe80::', 10, 'ipv6'], //link-local
+	['ff00::', 8, 'ipv6'], //multicast
+])
+	PRIVATE_ADDRESSES.addSubnet(address, prefix, type);
+//IPv4-mapped IPv6 addresses are checked against the IPv4 ranges by BlockList
+
+/**
+ * @param {string} address An IPv4 or IPv6 address
+ * @returns {boolean} Whether the address is loopback, private, link-local or otherwise not publicly routable
+ */
+const isPrivateAddress = function (address) {
+	return PRIVATE_ADDRESSES.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Private addresses are only allowed outside of production, so that local stand-ins (see `api/routes/channels.js`) can be used
+ * @param {string} address An IPv4 or IPv6 address
+ * @returns {boolean} Whether a delivery channel may not connect to the address
+ */
+const isBlockedAddress = function (address) {
+	return process.env.NODE_ENV === 'production' && isPrivateAddress(address);
+};
+
+/**
+ * A drop-in replacement for `dns.lookup()` that refuses to resolve a hostname to a private address.
+ * Used for every request to a delivery channel, so a hostname cannot be re-pointed after it was validated
+ */
+const publicLookup = function (hostname, options, callback) {
+	lookup(hostname, { ...options, all: true }, (err, addresses) => {
+		if (!!err) return callback(err);
+		if (addresses.some(({ address }) => isBlockedAddress(address)))
+			return callback(
+				Object.assign(new Error(`${hostname} resolves to a private address`), { code: 'EPRIVATE' })
+			);
+		return options?.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+	});
+};
+
+/**
+ * Start a POST request to a delivery channel. Redirects are not followed, since they could lead to a private address
+ * @param {string} url
+ * @returns {Request}
+ */
+const post = function (url) {
+	//hostnames that are already IP addresses are never looked up
+	const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+	if (!!isIP(hostname) && isBlockedAddress(hostname)) throw new Error(`${hostname} is a private address`);
+	return sa_request.post(url).lookup(publicLookup).redirects(0).timeout(REQUEST_TIMEOUT);
+};
+
+/**
+ * HTTP headers can only contain latin1 characters, so encode anything else per RFC 2047
+ * @param {string} str
+ * @returns {string}
+ */
+const encodeHeader = function (str) {
+	return /^[\x20-\x7e]*$/.test(str) ? str : `=?UTF-8?B?${Buffer.from(str).toString('base64')}?=`;
+};
+
+export class ChannelService {
+	//the delivery channels a user can route notifications to, in addition to their DMs
+	static CHANNELS = {
+		discord_webhook: 'Discord Webhook',
+		webhook: 'JSON Webhook',
+		ntfy: 'ntfy',
+	};
+
+	/**
+	 * Get the delivery channels a user has configured, decrypted
+	 * @param {string} uid Discord UID
+	 * @returns {Object} `{ channel: { url: string, token?: string } }`
+	 */
+	static getChannels(uid) {
+		const channels = {};
+		for (const [channel, { url, token = null } = {}] of Object.entries(
+			Firebase.getUserSettingValue({ uid, setting_id: 18 }) ?? {}
+		))
+			try {
+				//channels saved before encryption was added are stored as plain text
+				const encrypted = !/^https?:\/\//.test(url);
+				channels[channel] = {
+					url: encrypted ? Encrypt.decrypt(url) : url,
+					...(!!token && { token: encrypted ? Encrypt.decrypt(token) : token }),
+				};
+			} catch (e) {
+				Logger.error(`Unable to decrypt ${uid}'s ${channel} delivery channel: ${e}`);
+			}
+		return channels;
+	}
+
+	/**
+	 * Save a user's delivery channels. URLs and tokens are secrets, so they are encrypted like cookies are
+	 * @param {string} uid Discord UID
+	 * @param {Object} channels `{ channel: { url: string, token?: string } }`
+	 * @returns {Promise<void>}
+	 */
+	static async #saveChannels(uid, channels) {
+		const value = Object.fromEntries(
+			Object.entries(channels).map(([channel, { url, token = null }]) => [
+				channel,
+				{ url: Encrypt.encrypt(url), ...(!!token && { token: Encrypt.encrypt(token) }) },
+			])
+		);
+		await Firebase.setUserSettingValue({ uid, setting_id: 18, value: Object.keys(value).length ? value : null });
+	}
+
+	/**
+	 * Add or replace one of a user's delivery channels
+	 * @param {Object} args Destructured arguments
+	 * @param {string} args.uid Discord UID
+	 * @param {'discord_webhook' | 'webhook' | 'ntfy'} args.channel The type of channel
+	 * @param {string} args.url The URL notifications are sent to
+	 * @param {string} [args.token] Access token sent along with each notification, only used by ntfy
+	 * @returns {Promise<void>}
+	 */
+	static async setChannel({ uid, channel, url, token = null }) {
+		await this.#saveChannels(uid, { ...this.getChannels(uid), [channel]: { url, ...(!!token && { token }) } });
+	}
+
+	/**
+	 * Remove one of a user's delivery channels
+	 * @param {Object} args Destructured arguments
+	 * @param {string} args.uid Discord UID
+	 * @param {string} args.channel The type of channel
+	 * @returns {Promise<boolean>} `false` if the user did not have the channel configured
+	 */
+	static async removeChannel({ uid, channel }) {
+		const { [channel]: removed, ...channels } = this.getChannels(uid);
+		if (!removed) return false;
+		await this.#saveChannels(uid, channels);
+		return true;
+	}
+
+	/**
+	 * @param {string} channel The type of channel
+	 * @param {string} url The URL a user wants to send notifications to
+	 * @returns {Promise<string | null>} Why the URL cannot be used for the channel, or `null` if it is valid
+	 */
+	static async validateUrl(channel, url) {
+		let parsed;
+		try {
+			parsed = new URL(url);
+		} catch (e) {
+			return 'That is not a valid URL';
+		}
+		//plain http is only allowed for local stand-ins during development
+		if (parsed.protocol !== 'https:' && !(process.env.NODE_ENV !== 'production' && parsed.protocol === 'http:'))
+			return 'The URL must start with `https://`';
+		if (
+			channel === 'discord_webhook' &&
+			process.env.NODE_ENV === 'production' &&
+			!(
+				/^(canary\.|ptb\.)?discord(app)?\.com$/.test(parsed.hostname) &&
+				parsed.pathname.startsWith('/api/webhooks/')
+			)
+		)
+			return 'That is not a Discord webhook URL';
+
+		try {
+			const addresses = await lookupAsync(parsed.hostname.replace(/^\[|\]$/g, ''), { all: true });
+			if (addresses.some(({ address }) => isBlockedAddress(address)))
+				return 'The URL must point to a public address';
+		} catch (e) {
+			return 'I could not find the server that URL points to';
+		}
+		return null;
+	}
+
+	/**
+	 * Send a notification to every delivery channel a user has configured. Failures are logged and never thrown,
+	 * so that a broken channel cannot affect the user's DMs
+	 * @param {Object} args Destructured arguments
+	 * @param {string} args.uid Discord UID
+	 * @param {Object} args.message The parsed message object that is DMed to the user
+	 * @param {string} [args.type] The type of notification
+	 * @param {string} [args.class_id] ID of the class the notification belongs to, if any
+	 * @param {Object} [args.summary] A condensed version of the notification, see `DeliveryService.deliver()`
+	 * @returns {Promise<Object>} `{ channel: boolean }`, whether the notification was delivered to each channel.
+	 * The remote response is only logged, never returned, so that it cannot be relayed back to the user
+	 */
+	static async broadcast({ uid, message, type = null, class_id = null, summary = null }) {
+		const results = {};
+		for (const [channel, config] of Object.entries(this.getChannels(uid))) {
+			if (!this.CHANNELS.hasOwnProperty(channel) || !config?.url) continue;
+			try {
+				await this.#send[channel]({ config, message, type, class_id, summary });
+				results[channel] = true;
+			} catch (e) {
+				results[channel] = false;
+				Logger.warn(
+					`Error sending notification to ${uid}'s ${channel} channel: ${`${e?.status ?? ''} ${
+						e?.message ?? e
+					}`.trim()}`
+				);
+			}
+		}
+		return results;
+	}
+
+	/**
+	 * Reduce a parsed message to the contents of its embeds. Long content may have been split across several embeds,
+	 * whose fields are all included
+	 * @param {Object} message The parsed message object that is DMed to the user
+	 * @returns {{title: string, description: string, url: string, fields: {name: string, value: string}[]}}
+	 */
+	static #flatten(message) {
+		const embeds = (message.embeds ?? []).flat();
+		const embed = embeds[0] ?? {};
+		return {
+			title: embed.title ?? embed.author?.name ?? null,
+			description: embed.description ?? message.content ?? null,
+			url: embed.url ?? null,
+			fields: embeds.flatMap(({ fields = [] }) => fields.map(({ name, value }) => ({ name, value }))),
+		};
+	}
+
+	static #send = {
+		discord_webhook: async ({ config, message }) => {
+			//a webhook message has the same embed limits as a DM, so long notifications are sent in several parts
+			const pages = DeliveryService.splitPages((message.embeds ?? []).flat());
+			for (const [i, embeds] of (pages.length ? pages : [[]]).entries())
+				await post(config.url).send({
+					username: bot.user?.username,
+					avatar_url: bot.user?.avatarURL(),
+					content: !i ? message.content : undefined,
+					//webhooks that are not owned by the bot cannot send components
+					embeds,
+				});
+		},
+
+		webhook: ({ config, message, type, class_id, summary }) =>
+			post(config.url).send({
+				type,
+				class_id,
+				course_code: summary?.courseCode ?? null,
+				...this.#flatten(message),
+				url: summary?.url ?? this.#flatten(message).url,
+				timestamp: new Date().toISOString(),
+			}),
+
+		ntfy: ({ config, message, type, summary }) => {
+			const { title, description, url, fields } = this.#flatten(message);
+			return post(config.url)
+				.set({
+					...(!!title && { Title: encodeHeader(title) }),
+					...(!!(summary?.url ?? url) && { Click: summary?.url ?? url }),
+					...(!!type && { Tags: type }),
+					...(!!config.token && { Authorization: `Bearer ${config.token}` }),
+					Markdown: 'yes',
+					'Content-Type': 'text/plain',
+				})
+				.send(
+					[description, ...fields.map(({ name, value }) => `**${name}**\n${value}`)]
+						.filter(Boolean)
+						.join('\n\n') || title
+				);
+		},
+	};
+}
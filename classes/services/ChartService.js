@@ -0,0 +1,132 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import { Resvg } from '@resvg/resvg-js';
+import { round } from 'lodash-es';
+const WIDTH = 800;
+const HEIGHT = 400;
+const MARGIN = { top: 40, right: 30, bottom: 50, left: 60 };
+const COLORS = {
+	background: '#2f3136',
+	grid: '#4f545c',
+	text: '#dcddde',
+	line: '#5865f2',
+	point: '#5865f2',
+	marker: '#faa61a',
+};
+
+/**
+ * Escape a string for use as SVG text content
+ * @param {string} str
+ * @returns {string}
+ */
+const escapeXml = function (str) {
+	return `${str}`.replace(
+		/[<>&'"]/g,
+		(c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c])
+	);
+};
+
+export class ChartService {
+	/**
+	 * Render a line chart of a user's overall class grade over time, with assessment grades marked
+	 * @param {Object} args Destructured arguments
+	 * @param {string} args.title Title displayed above the chart
+	 * @param {Object[]} args.snapshots Grade snapshots from the `USER_GRADE_TRENDS` cache, oldest first
+	 * @returns {string} SVG markup of the chart. Snapshots that mark assessments are numbered in order, starting at 1
+	 */
+	static generateGradeTrendSvg({ title, snapshots }) {
+		const points = snapshots
+			.filter(({ maxPoints }) => maxPoints > 0)
+			.map((snapshot) => ({ ...snapshot, percent: (snapshot.finalPoints / snapshot.maxPoints) * 100 }));
+		const plot = {
+			width: WIDTH - MARGIN.left - MARGIN.right,
+			height: HEIGHT - MARGIN.top - MARGIN.bottom,
+		};
+
+		//scale the y-axis to the data, in increments of 10%
+		const y_min = Math.max(Math.floor((Math.min(...points.map(({ percent }) => percent), 100) - 5) / 10) * 10, 0);
+		const y_max = Math.max(Math.ceil(Math.max(...points.map(({ percent }) => percent), 0) / 10) * 10, 100);
+		const x_min = points[0]?.timestamp ?? Date.now();
+		const x_max = Math.max(points[points.length - 1]?.timestamp ?? Date.now(), x_min + 1);
+		const x = (timestamp) => MARGIN.left + ((timestamp - x_min) / (x_max - x_min)) * plot.width;
+		const y = (percent) => MARGIN.top + (1 - (percent - y_min) / (y_max - y_min)) * plot.height;
+		const formatDate = (timestamp) =>
+			new Date(timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+		const elements = [
+			`<rect width="${WIDTH}" height="${HEIGHT}" fill="${COLORS.background}"/>`,
+			`<text x="${WIDTH / 2}" y="${MARGIN.top / 2 + 6}" fill="${
+				COLORS.text
+			}" font-size="18" text-anchor="middle">${escapeXml(title)}</text>`,
+		];
+
+		//horizontal gridlines and y-axis labels
+		for (let percent = y_min; percent <= y_max; percent += 10)
+			elements.push(
+				`<line x1="${MARGIN.left}" x2="${WIDTH - MARGIN.right}" y1="${y(percent)}" y2="${y(percent)}" stroke="${
+					COLORS.grid
+				}"/>`,
+				`<text x="${MARGIN.left - 8}" y="${y(percent) + 4}" fill="${
+					COLORS.text
+				}" font-size="12" text-anchor="end">${percent}%</text>`
+			);
+
+		//x-axis labels at the start, middle, and end of the term so far
+		for (const timestamp of [...new Set([x_min, (x_min + x_max) / 2, x_max])])
+			elements.push(
+				`<text x="${x(timestamp)}" y="${HEIGHT - MARGIN.bottom + 20}" fill="${
+					COLORS.text
+				}" font-size="12" text-anchor="middle">${formatDate(timestamp)}</text>`
+			);
+
+		if (points.length > 1)
+			elements.push(
+				`<polyline fill="none" stroke="${COLORS.line}" stroke-width="3" points="${points
+					.map(({ timestamp, percent }) => `${round(x(timestamp), 2)},${round(y(percent), 2)}`)
+					.join(' ')}"/>`
+			);
+
+		let marker = 0;
+		for (const { timestamp, percent, assessmentIds } of points) {
+			const marked = !!assessmentIds?.length;
+			elements.push(
+				`<circle cx="${x(timestamp)}" cy="${y(percent)}" r="${marked ? 6 : 4}" fill="${
+					marked ? COLORS.marker : COLORS.point
+				}"/>`
+			);
+			marked &&
+				elements.push(
+					`<text x="${x(timestamp)}" y="${y(percent) - 12}" fill="${
+						COLORS.marker
+					}" font-size="12" text-anchor="middle">${++marker}</text>`
+				);
+		}
+
+		return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" font-family="sans-serif">${elements.join(
+			''
+		)}</svg>`;
+	}
+
+	/**
+	 * Rasterize an SVG so that it can be displayed inline by Discord
+	 * @param {string} svg SVG markup
+	 * @returns {Buffer} PNG image data
+	 */
+	static renderPng(svg) {
+		return new Resvg(svg, { font: { loadSystemFonts: true, defaultFontFamily: 'sans-serif' } }).render().asPng();
+	}
+}
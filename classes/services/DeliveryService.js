@@ -0,0 +1,477 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { ChannelService, DigestService, EmbedBase, Firebase, Halo, HealthManager, HistoryService, Logger } from '..';
+import bot from '../../bot';
+import * as caches from '../../caches';
+import { DELIVERY_DEAD_LETTERS, DELIVERY_OUTBOX, DELIVERY_OVERFLOW, USER_HELD_MESSAGES } from '../../caches';
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_DELAY = 60000; //doubled after every failed attempt
+//the outbox is flagged as unhealthy once a DM has been pending for this long
+const MAX_PENDING_AGE = 3600000;
+//Discord error codes which mean a DM will never succeed, e.g. the user has DMs disabled
+const PERMANENT_ERROR_CODES = [10013, 50007];
+//Discord's upload limit for a single message; larger attachments are left as links
+const MAX_ATTACHMENT_SIZE = 10485760;
+//Discord's limits on the embeds of a single message, across all of its embeds
+const MAX_EMBEDS = 10;
+const MAX_EMBED_CHARACTERS = 6000;
+//how long the content behind a "Read More" button is kept
+const OVERFLOW_TTL = 7776000000; //90 days
+
+/**
+ * @param {Object} embed An `EmbedBase`, or the plain object of one
+ * @returns {number} The number of characters that count towards Discord's embed limits
+ */
+const countCharacters = function (embed) {
+	return (
+		(embed.title?.length || 0) +
+		(embed.description?.length || 0) +
+		(embed.footer?.text?.length || 0) +
+		(embed.author?.name?.length || 0) +
+		(embed.fields ?? []).reduce((acc, f) => acc + f.name.length + f.value.length, 0)
+	);
+};
+
+export class DeliveryService {
+	//the user setting that turns each type of notification on or off
+	static #CATEGORY_SETTINGS = {
+		announcement: 0,
+		grade: 1,
+		inbox_message: 2,
+		due_date: 5,
+	};
+	//IDs of outbox entries with an attempt in progress, so the dispatcher does not send them twice
+	static #in_flight = new Set();
+	//UIDs of users whose held messages are being released
+	static #releasing = new Set();
+
+	/**
+	 * Send a notification DM to a user. This is the single place where a user's notification preferences are applied:
+	 * the DM is dropped if the user muted it, queued if the user receives digests, or held during the user's quiet hours.
+	 * Notifications with a `summary` are also recorded in the user's event history, and every notification that is sent
+	 * is also routed to the user's other delivery channels
+	 * @param {Object} args Destructured arguments
+	 * @param {User} args.user Discord.js `User` object; recipient of the message
+	 * @param {Object} args.message A parsed message object to be sent straight to Discord
+	 * @param {'announcement' | 'grade' | 'inbox_message' | 'due_date' | 'forum_post'} [args.type] The type of notification
+	 * @param {string} [args.class_id] ID of the class the notification belongs to, if any
+	 * @param {Object} [args.summary] A condensed version of the notification
+	 * @param {string} [args.summary.id] ID of the Halo object the notification is for
+	 * @param {string} args.summary.title A single-line summary of the notification
+	 * @param {string} [args.summary.courseCode] Readable course code of the class the notification is for
+	 * @param {string} [args.summary.url] Link to the notification in Halo
+	 * @param {boolean} [args.digestable] Whether the notification can be included in a digest instead of sent individually
+	 * @param {Object} [args.track] Where to record the ID of the sent DM, so that it can be edited later
+	 * @param {string} args.track.cache Name of the exported `LocalCache`, which maps `key` to `{ uid: messageId }`
+	 * @param {string} args.track.key Key within the cache to record the message under
+	 * @param {Object[]} [args.resources] Halo resources to download and attach to the DM, unless the user opted out
+	 * @returns {Promise<Message | null>} The sent DM, or `null` if it was not sent right away
+	 */
+	static async deliver({
+		user,
+		message,
+		type = null,
+		class_id = null,
+		summary = null,
+		digestable = true,
+		track = null,
+		resources = [],
+	}) {
+		const record = (status) =>
+			!!summary ? HistoryService.record(user.id, { type, class_id, summary, status }) : Promise.resolve(null);
+
+		if (this.isMuted({ uid: user.id, type, class_id })) {
+			await record('muted');
+			return null;
+		}
+		if (!!summary && digestable && DigestService.isDigestEnabled(user.id)) {
+			await DigestService.enqueue(user.id, { type, ...summary });
+			await record('digest');
+			return null;
+		}
+		if (this.isQuietHours(user.id)) {
+			const history_id = await record('held');
+			USER_HELD_MESSAGES.update(user.id, [
+				{ message, track, history_id, type, class_id, summary, resources, timestamp: Date.now() },
+			]);
+			await USER_HELD_MESSAGES.writeCacheFile({ filepath: user.id, data: USER_HELD_MESSAGES.get(user.id) });
+			Logger.log(`DM held for ${user.tag} (${user.id}) until their quiet hours end`);
+			return null;
+		}
+		return await this.#send({
+			user,
+			message,
+			track,
+			type,
+			class_id,
+			summary,
+			resources,
+			history_id: await record('sent'),
+		});
+	}
+
+	/**
+	 * Get the classes, and the types of notifications within them, that a user has muted
+	 * @param {string} uid Discord UID
+	 * @returns {Object} `{ classId: { type: true } }`, where `type` may also be `all`
+	 */
+	static getMutedClasses(uid) {
+		return Firebase.getUserSettingValue({ uid, setting_id: 12 }) ?? {};
+	}
+
+	/**
+	 * @param {Object} args Destructured arguments
+	 * @param {string} args.uid Discord UID
+	 * @param {string} [args.type] The type of notification
+	 * @param {string} [args.class_id] ID of the class the notification belongs to, if any
+	 * @returns {boolean} Whether the user has muted this type of notification, either entirely or for the class
+	 */
+	static isMuted({ uid, type = null, class_id = null }) {
+		if (!type) return false;
+		const setting_id = this.#CATEGORY_SETTINGS[type];
+		if (setting_id !== undefined && !Firebase.getUserSettingValue({ uid, setting_id })) return true;
+		if (!class_id) return false;
+		const muted = this.getMutedClasses(uid)[class_id];
+		return !!muted?.all || !!muted?.[type];
+	}
+
+	/**
+	 * Get a user's quiet hours, if they have set any
+	 * @param {string} uid Discord UID
+	 * @returns {{start: string, end: string} | null} Times of the format `HH:mm`, in the user's timezone
+	 */
+	static getQuietHours(uid) {
+		const quiet_hours = Firebase.getUserSettingValue({ uid, setting_id: 11 });
+		return !!quiet_hours?.start && !!quiet_hours?.end ? quiet_hours : null;
+	}
+
+	/**
+	 * @param {string} uid Discord UID
+	 * @param {Date} [date] The moment in time to check, default is now
+	 * @returns {boolean} Whether the moment falls within the user's quiet hours
+	 */
+	static isQuietHours(uid, date = new Date()) {
+		const quiet_hours = this.getQuietHours(uid);
+		if (!quiet_hours) return false;
+
+		const toMinutes = (time) => time.split(':').reduce((acc, cur) => acc * 60 + +cur, 0);
+		const start = toMinutes(quiet_hours.start);
+		const end = toMinutes(quiet_hours.end);
+		const { hour, minute } = bot.getLocalTime(Firebase.getUserTimezone(uid), date);
+		const now = hour * 60 + minute;
+
+		//quiet hours may wrap past midnight, e.g. 23:00 - 07:00
+		return start <= end ? now >= start && now < end : now >= start || now < end;
+	}
+
+	/**
+	 * Deliver the held messages of every user whose quiet hours have ended, in one batch per user
+	 * @returns {Promise<number>} The number of users whose messages were delivered
+	 */
+	static async releaseHeldMessages() {
+		let count = 0;
+		for (const [uid, held_messages] of USER_HELD_MESSAGES.entires) {
+			//a previous run may still be releasing this user's messages
+			if (!held_messages?.length || this.isQuietHours(uid) || this.#releasing.has(uid)) continue;
+			this.#releasing.add(uid);
+			let released = 0;
+			try {
+				const user = await bot.users.fetch(uid);
+				await bot.sendDM({
+					user,
+					send_disabled_msg: false,
+					embed: new EmbedBase({
+						description: `🌙 **${held_messages.length} notification${
+							held_messages.length === 1 ? ' was' : 's were'
+						} held during your quiet hours:**`,
+					}),
+				});
+				const tracked_caches = new Set();
+				for (const { message, track, history_id = null, ...notification } of held_messages) {
+					await this.#send({ user, message, track, history_id, ...notification });
+					released++;
+					!!track && tracked_caches.add(track);
+				}
+				for (const { cache, key } of tracked_caches)
+					await caches[cache].writeCacheFile({ filepath: key, data: caches[cache].get(key) });
+
+				Logger.log(`${held_messages.length} held DMs released to ${user.tag} (${uid})`);
+				count++;
+			} catch (e) {
+				Logger.warn(`Error releasing held messages for user ${uid}: ${e}`);
+			} finally {
+				//only messages that were handed to the outbox are removed; the rest are retried on the next run
+				const remaining = (USER_HELD_MESSAGES.get(uid) ?? []).slice(released);
+				if (!!remaining.length) {
+					USER_HELD_MESSAGES.set(uid, remaining);
+					await USER_HELD_MESSAGES.writeCacheFile({ filepath: uid, data: remaining });
+				} else {
+					USER_HELD_MESSAGES.delete(uid);
+					await USER_HELD_MESSAGES.deleteCacheFile({ filepath: uid });
+				}
+				this.#releasing.delete(uid);
+			}
+		}
+		return count;
+	}
+
+	/**
+	 * Make a message fit within Discord's per-message embed limits. `EmbedBase` already splits long content
+	 * across multiple embeds; any that do not fit in the message are stored and revealed by a "Read More" button
+	 * @param {Object} message A parsed message object, whose `embeds` may contain arrays of split embeds
+	 * @returns {Promise<Object>} A message object that can be sent straight to Discord
+	 */
+	static async paginate(message) {
+		const [page = [], ...overflow] = this.splitPages((message.embeds ?? []).flat());
+		if (!overflow.length) return { ...message, embeds: page };
+
+		const id = randomUUID();
+		const entry = { embeds: overflow.flat(), created_on: Date.now() };
+		DELIVERY_OVERFLOW.set(id, entry);
+		await DELIVERY_OVERFLOW.writeCacheFile({ filepath: id, data: entry });
+		for (const [overflow_id, { created_on }] of DELIVERY_OVERFLOW.entires)
+			if (Date.now() - created_on > OVERFLOW_TTL) {
+				DELIVERY_OVERFLOW.delete(overflow_id);
+				await DELIVERY_OVERFLOW.deleteCacheFile({ filepath: overflow_id });
+			}
+
+		const button = {
+			type: 2,
+			style: 2,
+			custom_id: `$readmore_${id}`,
+			disabled: false,
+			label: 'Read More',
+			emoji: {
+				name: '📖',
+			},
+		};
+		const [first_row, ...rows] = message.components ?? [];
+		return {
+			...message,
+			embeds: page,
+			//add the button to the first row of buttons if there is room, otherwise in a row of its own
+			components:
+				!!first_row && first_row.components.length < 5
+					? [{ ...first_row, components: [...first_row.components, button] }, ...rows]
+					: [...(message.components ?? []), { components: [button], type: 1 }],
+		};
+	}
+
+	/**
+	 * Group embeds into pages that each fit within Discord's per-message embed limits
+	 * @param {Object[]} embeds `EmbedBase`s, or the plain objects of them
+	 * @returns {Object[][]} The pages of embeds, in order
+	 */
+	static splitPages(embeds) {
+		const pages = [];
+		let characters = 0;
+		for (const embed of embeds) {
+			const count = countCharacters(embed);
+			const page = pages[pages.length - 1];
+			if (!page || page.length >= MAX_EMBEDS || characters + count > MAX_EMBED_CHARACTERS) {
+				pages.push([embed]);
+				characters = count;
+			} else {
+				page.push(embed);
+				characters += count;
+			}
+		}
+		return pages;
+	}
+
+	/**
+	 * Retry every DM in the outbox that is due for another attempt
+	 * @returns {Promise<number>} The number of DMs that were sent
+	 */
+	static async dispatchOutbox() {
+		let count = 0;
+		const tracked_caches = new Set();
+		for (const [id, entry] of DELIVERY_OUTBOX.entires) {
+			if (entry.next_attempt > Date.now() || this.#in_flight.has(id)) continue;
+			if (!(await this.#attempt({ id, entry }))) continue;
+			!!entry.track && tracked_caches.add(entry.track);
+			count++;
+		}
+		for (const { cache, key } of tracked_caches)
+			await caches[cache].writeCacheFile({ filepath: key, data: caches[cache].get(key) });
+
+		const pending = DELIVERY_OUTBOX.entires.map(([, { created_on }]) => created_on);
+		const oldest_age = !!pending.length ? Date.now() - Math.min(...pending) : 0;
+		HealthManager.recordMetric('OUTBOX_DEPTH', { value: pending.length });
+		HealthManager.recordMetric('OUTBOX_OLDEST_PENDING', {
+			value: !!oldest_age ? `${Math.round(oldest_age / 60000)}m` : 'n/a',
+			unhealthy: oldest_age > MAX_PENDING_AGE,
+		});
+		HealthManager.recordMetric('OUTBOX_DEAD_LETTERS', { value: DELIVERY_DEAD_LETTERS.size });
+		HealthManager.record('OUTBOX');
+		return count;
+	}
+
+	/**
+	 * Add a DM to the persistent outbox and make the first attempt at sending it,
+	 * then route the notification to the user's other delivery channels
+	 * @param {Object} args Destructured arguments
+	 * @param {User} args.user Discord.js `User` object; recipient of the message
+	 * @param {Object} args.message A parsed message object to be sent straight to Discord
+	 * @param {Object} [args.track] Where to record the ID of the sent DM, see `deliver()`
+	 * @param {string} [args.history_id] ID of the user's history entry for the notification
+	 * @param {string} [args.type] The type of notification
+	 * @param {string} [args.class_id] ID of the class the notification belongs to, if any
+	 * @param {Object} [args.summary] A condensed version of the notification, see `deliver()`
+	 * @param {Object[]} [args.resources] Halo resources to attach to the DM, see `deliver()`
+	 * @returns {Promise<Message | null>} The sent DM, or `null` if it will be retried later
+	 */
+	static async #send({
+		user,
+		message,
+		track = null,
+		history_id = null,
+		type = null,
+		class_id = null,
+		summary = null,
+		resources = [],
+	}) {
+		const id = randomUUID();
+		const entry = {
+			uid: user.id,
+			message: await this.paginate(message),
+			track,
+			history_id,
+			//only the resource IDs are stored, files are downloaded on every attempt so the outbox stays small
+			resources: resources.map(({ id, name }) => ({ id, name })),
+			attempts: 0,
+			created_on: Date.now(),
+			next_attempt: Date.now(),
+		};
+		//claimed before the first await so that dispatchOutbox() can't pick up the entry and send it a second time;
+		//#attempt() releases it once it is done
+		this.#in_flight.add(id);
+		DELIVERY_OUTBOX.set(id, entry);
+		await DELIVERY_OUTBOX.writeCacheFile({ filepath: id, data: entry });
+		//not awaited, a slow or broken channel should never hold up DMs
+		ChannelService.broadcast({ uid: user.id, message, type, class_id, summary });
+		return await this.#attempt({ id, entry, user });
+	}
+
+	/**
+	 * Attempt to send a DM from the outbox. On failure, the DM is rescheduled with exponential backoff,
+	 * or moved to the dead letters once it has run out of attempts
+	 * @param {Object} args Destructured arguments
+	 * @param {string} args.id ID of the outbox entry
+	 * @param {Object} args.entry The outbox entry
+	 * @param {User} [args.user] Discord.js `User` object; fetched from `entry.uid` if not provided
+	 * @returns {Promise<Message | null>} The sent DM, or `null` if the attempt failed
+	 */
+	static async #attempt({ id, entry, user = null }) {
+		this.#in_flight.add(id);
+		try {
+			user ??= await bot.users.fetch(entry.uid);
+			const files = await this.#downloadAttachments({ uid: entry.uid, resources: entry.resources });
+			const msg = await user.send(!!files.length ? { ...entry.message, files } : entry.message);
+			!!entry.track && caches[entry.track.cache]?.update(entry.track.key, { [user.id]: msg.id });
+			DELIVERY_OUTBOX.delete(id);
+			await DELIVERY_OUTBOX.deleteCacheFile({ filepath: id });
+			!!entry.history_id && (await HistoryService.updateStatus(entry.uid, entry.history_id, 'sent'));
+			return msg;
+		} catch (e) {
+			entry.attempts++;
+			entry.last_error = `${e}`;
+			if (entry.attempts >= MAX_ATTEMPTS || PERMANENT_ERROR_CODES.includes(e?.code)) {
+				await this.#deadLetter({ id, entry });
+				!!entry.history_id && (await HistoryService.updateStatus(entry.uid, entry.history_id, 'failed'));
+				return null;
+			}
+			!!entry.history_id && (await HistoryService.updateStatus(entry.uid, entry.history_id, 'retrying'));
+			entry.next_attempt = Date.now() + RETRY_BASE_DELAY * 2 ** (entry.attempts - 1);
+			DELIVERY_OUTBOX.set(id, entry);
+			await DELIVERY_OUTBOX.writeCacheFile({ filepath: id, data: entry });
+			Logger.warn(`DM ${id} to ${entry.uid} failed (attempt ${entry.attempts}), retrying later: ${e}`);
+			return null;
+		} finally {
+			this.#in_flight.delete(id);
+		}
+	}
+
+	/**
+	 * Download Halo resources so they can be attached to a DM. Files that do not fit within Discord's upload limit,
+	 * or fail to download, are skipped; the notification already links to them
+	 * @param {Object} args Destructured arguments
+	 * @param {string} args.uid Discord UID of the user whose cookie is used to download the files
+	 * @param {Object[]} [args.resources] Halo resources of the format `{ id, name }`
+	 * @returns {Promise<{attachment: Buffer, name: string}[]>}
+	 */
+	static async #downloadAttachments({ uid, resources = [] }) {
+		const files = [];
+		//attachments are on by default, users can opt out
+		if (!resources?.length || !(Firebase.getUserSettingValue({ uid, setting_id: 19 }) ?? true)) return files;
+
+		const cookie = await Firebase.getUserCookie(uid).catch(() => null);
+		if (!cookie) return files;
+		let size_left = MAX_ATTACHMENT_SIZE;
+		for (const { id, name } of resources) {
+			try {
+				const file = await Halo.downloadResource({ cookie, resource_id: id, max_size: size_left });
+				if (!file) continue;
+				size_left -= file.length;
+				files.push({ attachment: file, name });
+			} catch (e) {
+				Logger.warn(`Error downloading resource ${id} for ${uid}, sending as a link instead: ${e}`);
+			}
+		}
+		return files;
+	}
+
+	/**
+	 * Move a DM that will never be sent out of the outbox
+	 * @param {Object} args Destructured arguments
+	 * @param {string} args.id ID of the outbox entry
+	 * @param {Object} args.entry The outbox entry
+	 * @returns {Promise<void>}
+	 */
+	static async #deadLetter({ id, entry }) {
+		DELIVERY_OUTBOX.delete(id);
+		await DELIVERY_OUTBOX.deleteCacheFile({ filepath: id });
+		DELIVERY_DEAD_LETTERS.set(id, entry);
+		await DELIVERY_DEAD_LETTERS.writeCacheFile({ filepath: id, data: entry });
+		Logger.error(
+			`DM ${id} to ${entry.uid} moved to dead letters after ${entry.attempts} attempts: ${entry.last_error}`
+		);
+		bot.logDiscord({
+			embed: new EmbedBase({
+				title: 'DM Undeliverable',
+				fields: [
+					{
+						name: 'Receipient',
+						value: `<@${entry.uid}> (${entry.uid})`,
+						inline: true,
+					},
+					{
+						name: 'Attempts',
+						value: `${entry.attempts}`,
+						inline: true,
+					},
+					{
+						name: 'Last Error',
+						value: entry.last_error.substring(0, 1024),
+						inline: false,
+					},
+				],
+			}).Error(),
+		}).catch(() => {});
+	}
+}
@@ -0,0 +1,154 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import { groupBy } from 'lodash-es';
+import { DeliveryService, EmbedBase, Firebase, Logger } from '..';
+import bot from '../../bot';
+import { USER_DIGEST_QUEUE } from '../../caches';
+
+export class DigestService {
+	static DELIVERY_MODES = ['instant', 'daily', 'weekly'];
+	static #TYPE_NAMES = {
+		announcement: 'Announcements',
+		grade: 'Grades',
+		inbox_message: 'Inbox Messages',
+		forum_post: 'Discussion Forums',
+	};
+
+	/**
+	 * @param {string} uid Discord UID
+	 * @returns {'instant' | 'daily' | 'weekly'} How the user has chosen to receive notifications, `instant` by default
+	 */
+	static getDeliveryMode(uid) {
+		const mode = Firebase.getUserSettingValue({ uid, setting_id: 7 });
+		return this.DELIVERY_MODES.includes(mode) ? mode : 'instant';
+	}
+
+	/**
+	 * @param {string} uid Discord UID
+	 * @returns {boolean} Whether notifications for the user should be queued for a digest instead of sent immediately
+	 */
+	static isDigestEnabled(uid) {
+		return this.getDeliveryMode(uid) !== 'instant';
+	}
+
+	/**
+	 * Add a notification to a user's digest queue
+	 * @param {string} uid Discord UID
+	 * @param {Object} item A condensed notification
+	 * @param {'announcement' | 'grade' | 'inbox_message' | 'forum_post'} item.type The type of notification
+	 * @param {string} item.title A single-line summary of the notification
+	 * @param {string} [item.courseCode] Readable course code of the class the notification is for
+	 * @param {string} [item.url] Link to the notification in Halo
+	 * @returns {Promise<void>}
+	 */
+	static async enqueue(uid, { type, title, courseCode = null, url = null }) {
+		USER_DIGEST_QUEUE.update(uid, [{ type, title, courseCode, url, timestamp: Date.now() }]);
+		await USER_DIGEST_QUEUE.writeCacheFile({ filepath: uid, data: USER_DIGEST_QUEUE.get(uid) });
+		Logger.log(`${type} queued for ${uid}'s digest`);
+	}
+
+	/**
+	 * Send a digest to every user with queued notifications whose chosen digest time is the current hour
+	 * @returns {Promise<number>} The number of digests sent
+	 */
+	static async publishDigests() {
+		let count = 0;
+		for (const [uid, queue] of USER_DIGEST_QUEUE.entires) {
+			try {
+				if (!queue?.length) continue;
+				const mode = this.getDeliveryMode(uid);
+				//users who switched back to instant delivery receive what was queued right away
+				if (mode !== 'instant') {
+					const { hour, weekday } = bot.getLocalTime(Firebase.getUserTimezone(uid));
+					if (hour !== +(Firebase.getUserSettingValue({ uid, setting_id: 8 }) ?? 17)) continue;
+					if (mode === 'weekly' && weekday !== +(Firebase.getUserSettingValue({ uid, setting_id: 9 }) ?? 0))
+						continue;
+				}
+
+				await this.#publishDigest({ uid, queue, mode });
+				USER_DIGEST_QUEUE.delete(uid);
+				await USER_DIGEST_QUEUE.deleteCacheFile({ filepath: uid });
+				count++;
+			} catch (e) {
+				Logger.warn(`Error publishing digest for user ${uid}: ${e}`);
+			}
+		}
+		return count;
+	}
+
+	/**
+	 * @param {Object} args Desctructured arguments
+	 * @param {string} args.uid Discord UID
+	 * @param {Object[]} args.queue The user's queued notifications
+	 * @param {string} args.mode The user's delivery mode
+	 * @returns {Promise<void>}
+	 */
+	static async #publishDigest({ uid, queue, mode }) {
+		const discord_user = await bot.users.fetch(uid);
+		//the digest may have been split into multiple embeds, which can't all fit in one message
+		for (const embed of [].concat(this.#parseDigestData({ queue, mode })))
+			await DeliveryService.deliver({ user: discord_user, message: { embeds: [embed] } });
+		Logger.log(`Digest DM with ${queue.length} items sent to ${discord_user.tag} (${uid})`);
+		bot.logDiscord({
+			embed: new EmbedBase({
+				title: 'Digest Message Sent',
+				fields: [
+					{
+						name: 'Receipient',
+						value: bot.formatUser(discord_user),
+						inline: true,
+					},
+					{
+						name: 'Items',
+						value: queue.length.toString(),
+						inline: true,
+					},
+				],
+			}),
+		});
+	}
+
+	/**
+	 * @param {Object} args Desctructured arguments
+	 * @param {Object[]} args.queue The user's queued notifications
+	 * @param {string} args.mode The user's delivery mode
+	 * @returns {EmbedBase | EmbedBase[]} The digest embed, or multiple if it exceeds Discord's limits
+	 */
+	static #parseDigestData({ queue, mode }) {
+		return new EmbedBase({
+			title:
+				mode === 'weekly'
+					? 'Your Weekly Halo Digest'
+					: mode === 'daily'
+					? 'Your Daily Halo Digest'
+					: 'Your Halo Digest',
+			description: `${queue.length} notification${queue.length === 1 ? '' : 's'} since ${bot.formatTimestamp(
+				queue[0].timestamp,
+				'f'
+			)}`,
+			fields: Object.entries(groupBy(queue, 'type')).map(([type, items]) => ({
+				name: `${this.#TYPE_NAMES[type] ?? type} (${items.length})`,
+				value: items
+					.map(
+						({ courseCode, title, url }) =>
+							`• ${!!courseCode ? `**${courseCode}**: ` : ''}${!!url ? `[${title}](${url})` : title}`
+					)
+					.join('\n'),
+			})),
+		});
+	}
+}
@@ -0,0 +1,141 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import { DeliveryService, EmbedBase, Logger } from '..';
+import bot from '../../bot';
+
+export class DueDateService {
+	/**
+	 * @param {Object} assessment A Halo CourseClassAssessment object, with the reminder `metadata` injected
+	 */
+	static processDueDate = (assessment) => {
+		this.#publishDueDate({
+			assessment,
+			message: this.#parseDueDateData({ assessment }),
+		});
+	};
+
+	/**
+	 * @param {Object} args Desctructured arguments
+	 * @param {Object} args.assessment A Halo CourseClassAssessment object
+	 * @param {Object} args.message A parsed message object to be sent straight to Discord
+	 * @returns {Promise<void>}
+	 */
+	static async #publishDueDate({ assessment, message }) {
+		try {
+			const discord_uid = assessment?.metadata?.uid;
+			const discord_user = await bot.users.fetch(discord_uid);
+			const msg = await DeliveryService.deliver({
+				user: discord_user,
+				message,
+				type: 'due_date',
+				class_id: assessment.courseClassId,
+				summary: {
+					id: assessment.id,
+					title: `${assessment.title} is due in ${assessment.metadata.hours}h`,
+					courseCode: assessment.metadata.courseCode,
+					url: `https://halo.gcu.edu/courses/${assessment.metadata.slugId}/assessments/${assessment.id}`,
+				},
+				//reminders are time-sensitive, so they are always sent individually
+				digestable: false,
+			}).catch((e) =>
+				Logger.error(`Error sending due date reminder to ${discord_user.tag} (${discord_uid}): ${e}`)
+			);
+			if (!msg) return; //muted, held, or failed to send
+			Logger.log(`Due Date DM sent to ${discord_user.tag} (${discord_uid})`);
+			bot.logDiscord({
+				embed: new EmbedBase({
+					title: 'Due Date Reminder Sent',
+					fields: [
+						{
+							name: 'Receipient',
+							value: bot.formatUser(discord_user),
+							inline: true,
+						},
+						{
+							name: 'Reminder',
+							value: `${assessment.metadata.hours}h`,
+							inline: true,
+						},
+						{
+							name: 'Assessment ID',
+							value: assessment.id,
+							inline: false,
+						},
+					],
+				}),
+			});
+		} catch (e) {
+			Logger.warn(`Error pubishing due date ${assessment?.id} for user ${assessment?.metadata?.uid}: ${e}`);
+		}
+	}
+
+	/**
+	 * @param {Object} args Desctructured arguments
+	 * @param {Object} args.assessment A Halo CourseClassAssessment object
+	 * @returns {Object} A message object to be sent straight to Discord
+	 */
+	static #parseDueDateData({ assessment }) {
+		const {
+			id,
+			title,
+			dueDate,
+			points,
+			unitTitle,
+			metadata: { courseCode, slugId },
+		} = assessment;
+		const due = new Date(dueDate).getTime();
+
+		return {
+			content: `Upcoming due date for **${courseCode}**:`,
+			embeds: [
+				new EmbedBase({
+					title,
+					description: unitTitle,
+					fields: [
+						{
+							name: 'Due',
+							value: `${bot.formatTimestamp(due, 'F')} (${bot.formatTimestamp(due, 'R')})`,
+						},
+						...(points !== null && points !== undefined
+							? [
+									{
+										name: 'Points',
+										value: `${points}`,
+										inline: true,
+									},
+							  ]
+							: []),
+					],
+					timestamp: Date.now(),
+				}).Warn(),
+			],
+			components: [
+				{
+					components: [
+						{
+							type: 2,
+							style: 5,
+							label: 'View Assignment',
+							url: `https://halo.gcu.edu/courses/${slugId}/assessments/${id}`,
+						},
+					],
+					type: 1,
+				},
+			],
+		};
+	}
+}
@@ -18,8 +18,124 @@ import { ServerValue } from 'firebase-admin/database';
 import { decryptCookieObject, encryptCookieObject, isValidCookieObject, Logger } from '..';
 import { COOKIES } from '../../caches';
 import { db } from '../../firebase';
-import { CLASS_USERS_MAP, DEFAULT_SETTINGS_STORE, USER_SETTINGS_STORE } from '../../stores';
+import {
+	CLASS_CHANNELS_STORE,
+	CLASS_USERS_MAP,
+	DEFAULT_SETTINGS_STORE,
+	USER_CLASSES_MAP,
+	USER_SETTINGS_STORE,
+} from '../../stores';
 const ACTIVE_STAGES = ['PRE_START', 'CURRENT', 'POST'];
+//mirrors GradeService.DEFAULT_GPA_SCALE
+const PLUS_MINUS_GPA_SCALE = {
+	A: 4.0,
+	'A-': 3.7,
+	'B+': 3.3,
+	B: 3.0,
+	'B-': 2.7,
+	'C+': 2.3,
+	C: 2.0,
+	'C-': 1.7,
+	'D+': 1.3,
+	D: 1.0,
+	'D-': 0.7,
+	F: 0.0,
+};
+const WHOLE_LETTER_GPA_SCALE = {
+	A: 4.0,
+	'A-': 4.0,
+	'B+': 3.0,
+	B: 3.0,
+	'B-': 3.0,
+	'C+': 2.0,
+	C: 2.0,
+	'C-': 2.0,
+	'D+': 1.0,
+	D: 1.0,
+	'D-': 1.0,
+	F: 0.0,
+};
+
+/**
+ * Defaults for settings introduced alongside newer features, keyed by setting ID.
+ * Missing entries are written to `default_settings` on startup so they appear in `/settings`
+ */
+export const DEFAULT_SETTINGS = {
+	5: {
+		name: 'Due Date Reminders',
+		description: 'Get reminded before your assignments are due',
+		value: true,
+	},
+	6: {
+		name: 'Reminder Schedule',
+		description: 'How long before an assignment is due to send each reminder',
+		value: [72, 24, 2],
+		options: [
+			{ label: '3 days, 1 day & 2 hours before', value: [72, 24, 2] },
+			{ label: '1 week, 3 days, 1 day & 2 hours before', value: [168, 72, 24, 2] },
+			{ label: '1 day & 2 hours before', value: [24, 2] },
+			{ label: '1 day before', value: [24] },
+			{ label: '2 hours before', value: [2] },
+		],
+	},
+	7: {
+		name: 'Delivery Mode',
+		description: 'Receive notifications as they happen, or bundled into a daily or weekly digest',
+		value: 'instant',
+		options: [
+			{ label: 'Instant', value: 'instant' },
+			{ label: 'Daily digest', value: 'daily' },
+			{ label: 'Weekly digest', value: 'weekly' },
+		],
+	},
+	8: {
+		name: 'Digest Time',
+		description: 'The hour your digest is sent, in your timezone',
+		value: 17,
+		options: Array.from({ length: 24 }, (_, hour) => ({
+			label: `${hour % 12 || 12}:00 ${hour < 12 ? 'AM' : 'PM'}`,
+			value: hour,
+		})),
+	},
+	9: {
+		name: 'Digest Day',
+		description: 'The day your weekly digest is sent',
+		value: 0,
+		options: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'].map((label, value) => ({
+			label,
+			value,
+		})),
+	},
+	13: {
+		name: 'Classmates Directory',
+		description: 'List yourself in /classmates so others in your classes can find you',
+		value: false,
+	},
+	14: {
+		name: 'Course Roles',
+		description: 'Get a role in the main server for each class you are enrolled in',
+		value: false,
+	},
+	15: {
+		name: 'GPA Scale',
+		description: 'The letter-to-point scale used by /gpa',
+		value: PLUS_MINUS_GPA_SCALE,
+		options: [
+			{ label: 'Plus/minus (A- = 3.7, B+ = 3.3, ...)', value: PLUS_MINUS_GPA_SCALE },
+			{ label: 'Whole letters (A- = 4.0, B+ = 3.0, ...)', value: WHOLE_LETTER_GPA_SCALE },
+		],
+	},
+	16: {
+		name: 'Class Statistics',
+		description: 'Show the class average, median and high in grade notifications',
+		value: false,
+	},
+	19: {
+		name: 'Attachments',
+		description: 'Attach files from announcements and inbox messages to your DMs',
+		value: true,
+	},
+};
 
 export const getActiveClasses = async function () {
 	return (
@@ -43,7 +159,76 @@ export const getActiveUsersInClass = function (class_id) {
  * @returns {Promise<string[]>} array of class IDs
  */
 export const getAllUserClasses = async function (uid) {
-	return Object.keys((await db.ref('user_classes_map').child(uid).get()).toJSON());
+	return Object.keys((await db.ref('user_classes_map').child(uid).get()).toJSON() ?? {});
+};
+
+/**
+ * Get the active classes a user is enrolled in
+ * @param {string} uid discord UID
+ * @returns {Promise<Object>} class objects, keyed by class ID
+ */
+export const getUserActiveClasses = async function (uid) {
+	const active_classes = await getActiveClasses();
+	return Object.fromEntries(
+		(await getAllUserClasses(uid))
+			.filter((class_id) => active_classes.hasOwnProperty(class_id))
+			.map((class_id) => [class_id, active_classes[class_id]])
+	);
+};
+
+/**
+ * Build autocomplete choices for the active classes a user is enrolled in, read from the local store
+ * @param {object} args Destructured arguments
+ * @param {string} args.uid discord UID
+ * @param {string} [args.query] The partial value the user has typed so far
+ * @returns {Promise<{name: string, value: string}[]>} At most 25 choices, the value of each being the class ID
+ */
+export const getUserClassChoices = async function ({ uid, query = '' }) {
+	const active_classes = await getActiveClasses();
+	return Object.keys(USER_CLASSES_MAP.get(uid) ?? {})
+		.filter((class_id) => active_classes.hasOwnProperty(class_id))
+		.map((class_id) => ({
+			name: `${active_classes[class_id].courseCode} - ${active_classes[class_id].name}`.slice(0, 100),
+			value: class_id,
+		}))
+		.filter(({ name }) => name.toLowerCase().includes(query.toLowerCase()))
+		.slice(0, 25);
+};
+
+/**
+ * @param {string} class_id Halo class ID
+ * @returns {string[]} array of Discord channel IDs that the class's announcements are mirrored to
+ */
+export const getClassChannels = function (class_id) {
+	return Object.keys(CLASS_CHANNELS_STORE.get(class_id) ?? {});
+};
+
+/**
+ * Mirror a class's announcements to a guild text channel
+ * @param {object} args Destructured arguments
+ * @param {string} args.class_id Halo class ID
+ * @param {GuildChannel} args.channel Discord.js guild text channel
+ * @param {string} args.uid Discord UID of the user who created the link
+ */
+export const linkClassChannel = async function ({ class_id, channel, uid }) {
+	return await db.ref('class_channels').child(class_id).child(channel.id).set({
+		guild_id: channel.guildId,
+		created_by: uid,
+		created_on: ServerValue.TIMESTAMP,
+	});
+};
+
+/**
+ * Stop mirroring all classes' announcements to a channel
+ * @param {string} channel_id Discord channel ID
+ * @returns {Promise<string[]>} array of class IDs that were unlinked
+ */
+export const unlinkClassChannel = async function (channel_id) {
+	const class_ids = CLASS_CHANNELS_STORE.entires()
+		.filter(([, channels]) => channels.hasOwnProperty(channel_id))
+		.map(([class_id]) => class_id);
+	for (const class_id of class_ids) await db.ref('class_channels').child(class_id).child(channel_id).remove();
+	return class_ids;
 };
 
 /**
@@ -130,7 +315,70 @@ export const getUserSettingValue = function ({ uid, setting_id }) {
 	const setting =
 		getUserSettings(uid)?.[setting_id] ??
 		DEFAULT_SETTINGS_STORE.get(setting_id.toString())?.value ??
-		DEFAULT_SETTINGS_STORE.get(+setting_id)?.value;
+		DEFAULT_SETTINGS_STORE.get(+setting_id)?.value ??
+		DEFAULT_SETTINGS[setting_id]?.value;
 	Logger.debug(`Getting user setting value for ${uid} with setting_id ${setting_id}: ${JSON.stringify(setting)}`);
 	return setting;
 };
+
+/**
+ * Set the value of one of a user's settings
+ * @param {object} args Destructured arguments
+ * @param {string} args.uid discord uid
+ * @param {string | number} args.setting_id ID of setting to set
+ * @param {any} args.value The new value of the setting. `null` removes the user's value, restoring the default
+ */
+export const setUserSettingValue = async function ({ uid, setting_id, value }) {
+	Logger.debug(`Setting user setting value for ${uid} with setting_id ${setting_id}: ${JSON.stringify(value)}`);
+	return await db.ref('user_settings').child(uid).child(setting_id.toString()).set(value);
+};
+
+/**
+ * Write any `DEFAULT_SETTINGS` that are missing from the `default_settings` path.
+ * Existing entries are left untouched so they can still be edited in the database
+ * @returns {Promise<number>} The number of settings that were seeded
+ */
+export const seedDefaultSettings = async function () {
+	await DEFAULT_SETTINGS_STORE.awaitReady();
+	const missing = Object.entries(DEFAULT_SETTINGS).filter(
+		([id]) => !DEFAULT_SETTINGS_STORE.get(id) && !DEFAULT_SETTINGS_STORE.get(+id)
+	);
+	if (missing.length) await db.ref('default_settings').update(Object.fromEntries(missing));
+	return missing.length;
+};
+
+/**
+ * @param {string} uid discord uid
+ * @returns {boolean} Whether the user has opted into the classmates directory
+ */
+export const isClassmatesOptIn = function (uid) {
+	return !!getUserSettingValue({ uid, setting_id: 13 });
+};
+
+/**
+ * Get the other users in a class who have opted into the classmates directory.
+ * Users who have not opted in are never included
+ * @param {object} args Destructured arguments
+ * @param {string} args.uid discord uid of the user searching, excluded from the results
+ * @param {string} args.class_id unique class ID
+ * @returns {string[]} array of discord uids
+ */
+export const getClassmates = function ({ uid, class_id }) {
+	return getActiveUsersInClass(class_id).filter((classmate) => classmate !== uid && isClassmatesOptIn(classmate));
+};
+
+/**
+ * Get the IANA timezone a user has chosen, defaulting to GCU's local time
+ * @param {string} uid discord uid
+ * @returns {string} IANA timezone identifier, e.g. `America/Phoenix`
+ */
+export const getUserTimezone = function (uid) {
+	const timezone = getUserSettingValue({ uid, setting_id: 10 });
+	try {
+		//throws a RangeError if the timezone is invalid
+		new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+		return timezone ?? 'America/Phoenix';
+	} catch (e) {
+		return 'America/Phoenix';
+	}
+};
@@ -0,0 +1,143 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import { DeliveryService, EmbedBase, Logger, MarkdownService } from '..';
+import bot from '../../bot';
+
+export class ForumService {
+	/**
+	 * @param {Object} post A Halo forum post object, with the `forum` it belongs to and the recipient `metadata` injected
+	 */
+	static processForumPost = (post) => {
+		this.#publishForumPost({
+			post,
+			message: this.#parseForumPostData({ post }),
+		});
+	};
+
+	/**
+	 * @param {Object} args Desctructured arguments
+	 * @param {Object} args.post A Halo forum post object
+	 * @param {Object} args.message A parsed message object to be sent straight to Discord
+	 * @returns {Promise<void>}
+	 */
+	static async #publishForumPost({ post, message }) {
+		try {
+			const discord_uid = post?.metadata?.uid;
+			const { firstName, lastName } = post.createdBy.user;
+			const discord_user = await bot.users.fetch(discord_uid);
+			const msg = await DeliveryService.deliver({
+				user: discord_user,
+				message,
+				type: 'forum_post',
+				class_id: post.forum.courseClassId,
+				summary: {
+					id: post.id,
+					title: `${
+						post.metadata.kind === 'reply'
+							? `${firstName} ${lastName} replied to your post`
+							: 'New discussion question'
+					} in ${post.forum.title}`,
+					courseCode: post.metadata.courseCode,
+					url: `https://halo.gcu.edu/courses/${post.metadata.slugId}/forums/${post.forum.id}`,
+				},
+			}).catch((e) =>
+				Logger.error(`Error sending forum post notification to ${discord_user.tag} (${discord_uid}): ${e}`)
+			);
+			if (!msg) return; //muted, queued for a digest, held, or failed to send
+			Logger.log(`Forum Post DM sent to ${discord_user.tag} (${discord_uid})`);
+			bot.logDiscord({
+				embed: new EmbedBase({
+					title: 'Forum Post Sent',
+					fields: [
+						{
+							name: 'Receipient',
+							value: bot.formatUser(discord_user),
+							inline: true,
+						},
+						{
+							name: 'Forum',
+							value: post.forum.title,
+							inline: true,
+						},
+						{
+							name: 'Post ID',
+							value: post.id,
+							inline: false,
+						},
+					],
+				}),
+			});
+		} catch (e) {
+			Logger.warn(`Error pubishing forum post ${post?.id} for user ${post?.metadata?.uid}: ${e}`);
+		}
+	}
+
+	/**
+	 * @param {Object} args Desctructured arguments
+	 * @param {Object} args.post A Halo forum post object
+	 * @returns {Object} A message object to be sent straight to Discord
+	 */
+	static #parseForumPostData({ post }) {
+		const { firstName, lastName } = post.createdBy.user;
+		const { kind, courseCode, slugId, parentPost } = post.metadata;
+		const { text, images } = MarkdownService.fromHtml(post.content);
+		const parent_text = !!parentPost ? MarkdownService.fromHtml(parentPost.content).text : '';
+
+		return {
+			content:
+				kind === 'reply'
+					? `**${firstName} ${lastName}** replied to your post in **${courseCode}**:`
+					: `New discussion question posted in **${courseCode}**:`,
+			embeds: [
+				new EmbedBase({
+					title: post.forum.title,
+					description: text,
+					fields: [
+						...(kind === 'reply' && !!parentPost
+							? [
+									{
+										name: 'Your Post',
+										value: `${parent_text.substring(0, 200)}${
+											parent_text.length > 200 ? '...' : ''
+										}`,
+									},
+							  ]
+							: []),
+					],
+					footer: post.forum.unitTitle,
+					image: !!images.length ? { url: images[0] } : {},
+					timestamp: post.publishDate,
+				}),
+				//Discord only shows one image per embed
+				...images.slice(1).map((url) => new EmbedBase({ image: { url } })),
+			],
+			components: [
+				{
+					components: [
+						{
+							type: 2,
+							style: 5,
+							label: 'View Forum',
+							url: `https://halo.gcu.edu/courses/${slugId}/forums/${post.forum.id}`,
+						},
+					],
+					type: 1,
+				},
+			],
+		};
+	}
+}
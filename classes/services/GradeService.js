@@ -14,12 +14,70 @@
  * along with this program. If not, see <http://www.gnu.org/licenses/>.
  */
 
-import { decode } from 'html-entities';
 import { round } from 'lodash-es';
-import { EmbedBase, Firebase, Logger } from '..';
+import { DeliveryService, EmbedBase, Firebase, Logger, MarkdownService } from '..';
 import bot from '../../bot';
 
+const parsePercent = function (dividend, divisor) {
+	return divisor < 1 ? 'N/A' : `${round((dividend / divisor) * 100, 2)}%`;
+};
+
 export class GradeService {
+	//minimum percentage required for each letter grade, highest first
+	static LETTER_GRADES = [
+		['A', 93],
+		['A-', 90],
+		['B+', 87],
+		['B', 83],
+		['B-', 80],
+		['C+', 77],
+		['C', 73],
+		['C-', 70],
+		['D+', 67],
+		['D', 63],
+		['D-', 60],
+		['F', 0],
+	];
+	static DEFAULT_GPA_SCALE = {
+		A: 4.0,
+		'A-': 3.7,
+		'B+': 3.3,
+		B: 3.0,
+		'B-': 2.7,
+		'C+': 2.3,
+		C: 2.0,
+		'C-': 1.7,
+		'D+': 1.3,
+		D: 1.0,
+		'D-': 0.7,
+		F: 0.0,
+	};
+
+	/**
+	 * @param {number} percent A grade percentage, e.g. `91.5`
+	 * @returns {string} The letter grade for the percentage
+	 */
+	static getLetterGrade(percent) {
+		return this.LETTER_GRADES.find(([, min]) => percent >= min)?.[0] ?? 'F';
+	}
+
+	/**
+	 * Get the letter-to-point scale a user has configured, falling back to the default for any letter they have not set
+	 * @param {string} uid Discord UID
+	 * @returns {Object} `{ letter: points }`
+	 */
+	static getGpaScale(uid) {
+		const scale = Firebase.getUserSettingValue({ uid, setting_id: 15 }) ?? {};
+		return {
+			...this.DEFAULT_GPA_SCALE,
+			...Object.fromEntries(
+				Object.entries(scale).filter(
+					([letter, points]) => this.DEFAULT_GPA_SCALE.hasOwnProperty(letter) && !isNaN(parseFloat(points))
+				)
+			),
+		};
+	}
+
 	/**
 	 * @param {Object} grade A full Halo UserCourseClassAssessmentGrade object
 	 */
@@ -27,29 +85,55 @@ export class GradeService {
 		this.#publishGrade({ grade });
 	};
 
+	/**
+	 * @param {Object} grade A full Halo UserCourseClassAssessmentGrade object, with the previous grade in its `metadata`
+	 */
+	static processGradeUpdate = (grade) => {
+		this.#publishGrade({ grade, updated: true });
+	};
+
 	/**
 	 * @param {Object} args Desctructured arguments
 	 * @param {Object} args.grade A full Halo UserCourseClassAssessmentGrade object
+	 * @param {boolean} [args.updated] Whether the grade was changed after it was originally published
 	 * @returns {Promise<void>}
 	 */
-	static async #publishGrade({ grade }) {
+	static async #publishGrade({ grade, updated = false }) {
 		try {
 			const discord_uid = grade?.metadata?.uid ?? (await Firebase.getDiscordUidFromHaloUid(grade.user.id));
 			const show_overall_grade = Firebase.getUserSettingValue({
 				uid: discord_uid,
 				setting_id: 4,
 			});
+			const show_statistics = !!Firebase.getUserSettingValue({
+				uid: discord_uid,
+				setting_id: 16,
+			});
 
 			const discord_user = await bot.users.fetch(discord_uid);
-			discord_user
-				.send(this.#parseGradeData({ grade, show_overall_grade }))
-				.catch((e) =>
-					Logger.error(`Error sending grade notification to ${discord_user.tag} (${discord_uid}): ${e}`)
-				);
-			Logger.log(`Grade DM sent to ${discord_user.tag} (${discord_uid})`);
+			const msg = await DeliveryService.deliver({
+				user: discord_user,
+				message: updated
+					? this.#parseGradeUpdateData({ grade, show_overall_grade, show_statistics })
+					: this.#parseGradeData({ grade, show_overall_grade, show_statistics }),
+				type: 'grade',
+				class_id: grade.metadata.courseClassId,
+				summary: {
+					id: grade.id,
+					title: `${updated ? 'Grade changed: ' : ''}${grade.assessment.title} (${grade.finalPoints} / ${
+						grade.assessment.points
+					})`,
+					courseCode: grade.metadata.courseCode,
+					url: `https://halo.gcu.edu/courses/${grade.metadata.slugId}/student/gradebook#grading-feedback/${grade.assessment.id}`,
+				},
+			}).catch((e) =>
+				Logger.error(`Error sending grade notification to ${discord_user.tag} (${discord_uid}): ${e}`)
+			);
+			if (!msg) return; //muted, queued for a digest, held, or failed to send
+			Logger.log(`Grade ${updated ? 'Update ' : ''}DM sent to ${discord_user.tag} (${discord_uid})`);
 			bot.logDiscord({
 				embed: new EmbedBase({
-					title: 'Grade Message Sent',
+					title: `Grade ${updated ? 'Update ' : ''}Message Sent`,
 					fields: [
 						{
 							name: 'Receipient',
@@ -69,17 +153,50 @@ export class GradeService {
 		}
 	}
 
+	/**
+	 * @param {Object} args Desctructured arguments
+	 * @param {Object} args.grade A full Halo UserCourseClassAssessmentGrade object, with `statistics` injected
+	 * @returns {Object[]} Embed fields describing how the class did on the assessment, empty if statistics are unavailable
+	 */
+	static #parseStatisticsFields({ grade }) {
+		const {
+			finalPoints,
+			statistics,
+			assessment: { points },
+		} = grade;
+		if (!statistics) return [];
+		const { averagePoints, medianPoints, highPoints } = statistics;
+		const difference = round(finalPoints - averagePoints, 2);
+
+		return [
+			{
+				name: 'Class Statistics:',
+				value: [
+					`Average: **${round(averagePoints, 2)} / ${points}** (${parsePercent(averagePoints, points)})`,
+					...(medianPoints !== null && medianPoints !== undefined
+						? [`Median: **${round(medianPoints, 2)} / ${points}** (${parsePercent(medianPoints, points)})`]
+						: []),
+					...(highPoints !== null && highPoints !== undefined
+						? [`High: **${round(highPoints, 2)} / ${points}** (${parsePercent(highPoints, points)})`]
+						: []),
+					difference === 0
+						? 'You scored exactly the class average'
+						: `You scored **${Math.abs(difference)} points ${
+								difference > 0 ? 'above' : 'below'
+						  }** the class average`,
+				].join('\n'),
+			},
+		];
+	}
+
 	/**
 	 * @param {Object} args Desctructured arguments
 	 * @param {Object} args.grade A full Halo UserCourseClassAssessmentGrade object
 	 * @param {boolean} [args.show_overall_grade=true] Whether or not to include the overall class grade in the message embed
+	 * @param {boolean} [args.show_statistics=false] Whether or not to include class statistics for the assessment, if available
 	 * @returns {Object} A message object to be sent straight to Discord
 	 */
-	static #parseGradeData({ grade, show_overall_grade = true }) {
-		const parsePercent = function (dividend, divisor) {
-			return divisor < 1 ? 'N/A' : `${round((dividend / divisor) * 100, 2)}%`;
-		};
-
+	static #parseGradeData({ grade, show_overall_grade = true, show_statistics = false }) {
 		const {
 			finalPoints,
 			finalComment,
@@ -92,6 +209,7 @@ export class GradeService {
 			},
 		} = grade;
 		const feedbackUrl = `https://halo.gcu.edu/courses/${slugId}/student/gradebook#grading-feedback/${assessmentId}`;
+		const feedback = MarkdownService.fromHtml(finalComment?.comment);
 
 		return {
 			content: `New grade published for **${courseCode}**:`,
@@ -106,18 +224,9 @@ export class GradeService {
 						},
 						{
 							name: `Feedback:`,
-							value: !!finalComment?.comment
-								? decode(
-										finalComment.comment
-											.replaceAll('<br>', '\n')
-											.replaceAll('</p><p>', '\n') //this is kinda hacky ngl
-											.replaceAll('<li>', '\n\t\u2022 ')
-											.replaceAll('</ol>', '\n')
-											.replaceAll('</ul>', '\n')
-											.replace(/<\/?[^>]+(>|$)/g, '')
-								  )
-								: 'None',
+							value: feedback.text || 'None',
 						},
+						...(show_statistics ? this.#parseStatisticsFields({ grade }) : []),
 						...(show_overall_grade
 							? [
 									{
@@ -130,8 +239,124 @@ export class GradeService {
 							  ]
 							: []),
 					],
+					image: !!feedback.images.length ? { url: feedback.images[0] } : {},
+					timestamp: Date.now(),
+				}),
+				//Discord only shows one image per embed
+				...feedback.images.slice(1).map((url) => new EmbedBase({ image: { url } })),
+			],
+			components: [
+				{
+					components: [
+						{
+							type: 2,
+							style: 1,
+							custom_id: `$grade_${gradeId}`,
+							disabled: false,
+							label: 'Mark as Read',
+							emoji: {
+								name: '✉',
+							},
+						},
+						...(feedbackUrl?.startsWith('https://')
+							? [
+									{
+										type: 2,
+										style: 5,
+										label: 'View Feedback',
+										url: feedbackUrl,
+									},
+							  ]
+							: []),
+					],
+					type: 1,
+				},
+			],
+		};
+	}
+
+	/**
+	 * @param {Object} args Desctructured arguments
+	 * @param {Object} args.grade A full Halo UserCourseClassAssessmentGrade object, with the previous grade in its `metadata`
+	 * @param {boolean} [args.show_overall_grade=true] Whether or not to include the overall class grade in the message embed
+	 * @param {boolean} [args.show_statistics=false] Whether or not to include class statistics for the assessment, if available
+	 * @returns {Object} A message object to be sent straight to Discord
+	 */
+	static #parseGradeUpdateData({ grade, show_overall_grade = true, show_statistics = false }) {
+		/**
+		 * Format the change between two percentages, e.g. `+2.5%`
+		 */
+		const parseDelta = function (old_percent, new_percent) {
+			const delta = round(new_percent - old_percent, 2);
+			return `${delta > 0 ? '+' : ''}${delta}%`;
+		};
+
+		const {
+			finalPoints,
+			finalComment,
+			id: gradeId,
+			assessment: { points, title, id: assessmentId },
+			metadata: {
+				courseCode,
+				finalGrade: { finalPoints: totalFinalPoints, maxPoints, gradeValue },
+				oldFinalGrade,
+				oldGrade,
+				slugId,
+			},
+		} = grade;
+		const feedbackUrl = `https://halo.gcu.edu/courses/${slugId}/student/gradebook#grading-feedback/${assessmentId}`;
+		const feedback = MarkdownService.fromHtml(finalComment?.comment);
+		const old_points = oldGrade?.finalPoints;
+		const old_comment = oldGrade?.finalComment?.comment ?? null;
+
+		return {
+			content: `Grade changed for **${courseCode}**:`,
+			embeds: [
+				new EmbedBase({
+					title,
+					color: EmbedBase.COLORS.WARN,
+					fields: [
+						{
+							name: 'Assignment Score:',
+							value:
+								old_points !== undefined && old_points !== finalPoints
+									? `~~${old_points} / ${points}~~ → **${finalPoints} / ${points}** (${parsePercent(
+											finalPoints,
+											points
+									  )})`
+									: `**${finalPoints} / ${points}** (${parsePercent(finalPoints, points)})`,
+						},
+						{
+							name: `Feedback${old_comment !== (finalComment?.comment ?? null) ? ' (updated)' : ''}:`,
+							value: feedback.text || 'None',
+						},
+						...(show_statistics ? this.#parseStatisticsFields({ grade }) : []),
+						...(show_overall_grade
+							? [
+									{
+										name: 'Overall Class Grade:',
+										value: `**${totalFinalPoints} / ${maxPoints}** (${parsePercent(
+											totalFinalPoints,
+											maxPoints
+										)} \u200b ${gradeValue})${
+											!!oldFinalGrade && oldFinalGrade.maxPoints >= 1 && maxPoints >= 1
+												? ` \u200b ${parseDelta(
+														(oldFinalGrade.finalPoints / oldFinalGrade.maxPoints) * 100,
+														(totalFinalPoints / maxPoints) * 100
+												  )}`
+												: ''
+										}`,
+									},
+							  ]
+							: []),
+					],
+					image: !!feedback.images.length ? { url: feedback.images[0] } : {},
 					timestamp: Date.now(),
 				}),
+				//Discord only shows one image per embed
+				...feedback.images
+					.slice(1)
+					.map((url) => new EmbedBase({ image: { url }, color: EmbedBase.COLORS.WARN })),
 			],
 			components: [
 				{
@@ -27,6 +27,8 @@ const url = {
 		process.env.NODE_ENV === 'production'
 			? 'https://halo.gcu.edu/api/token-validate/'
 			: 'http://localhost:3000/token-validate/',
+	resource:
+		process.env.NODE_ENV === 'production' ? 'https://halo.gcu.edu/api/resource' : 'http://localhost:3000/resource',
 };
 export const AUTHORIZATION_KEY = 'TE1TX0FVVEg';
 export const CONTEXT_KEY = 'TE1TX0NPTlRFWFQ';
@@ -134,6 +136,82 @@ export const getClassAnnouncements = async function ({ cookie, class_id, metadat
 	);
 };
 
+/**
+ * Get all discussion forums for a class
+ * @param {Object} args Desctructured arguments
+ * @param {Object} args.cookie The cookie object retrieved from Firebase
+ * @param {string} args.class_slug_id unique class slug ID of format COURSE_CODE-SECTION-ID
+ * @param {Object} [args.metadata] Optional metadata to be injected into each element of the response array
+ * @returns {Promise<Object[]>} Array of forums, flattened across all units of the class
+ */
+export const getClassForums = async function ({ cookie, class_slug_id, metadata = {} } = {}) {
+	const res = await req({
+		requestHeaders: headers(cookie),
+		document: gql`
+			query CourseClassForums($courseClassSlugId: String!) {
+				courseClass: getCourseClassBySlugId(slugId: $courseClassSlugId) {
+					id
+					units {
+						id
+						title
+						forums {
+							id
+							title
+							startDate
+							endDate
+						}
+					}
+				}
+			}
+		`,
+		variables: {
+			courseClassSlugId: class_slug_id,
+		},
+	});
+
+	if (isAuthError(res)) throw { code: 401, cookie };
+	if (!!res?.message) throw res;
+	return res.courseClass.units.flatMap(({ title: unitTitle, forums }) =>
+		forums.map((forum) => ({ ...forum, unitTitle, courseClassId: res.courseClass.id, metadata }))
+	);
+};
+
+/**
+ * Get all posts in a discussion forum, including replies
+ * @param {Object} args Desctructured arguments
+ * @param {Object} args.cookie The cookie object retrieved from Firebase
+ * @param {string} args.forum_id the unique forum ID
+ * @returns {Promise<Object[]>} Array of posts; replies have a `parentPostId`
+ */
+export const getForumPosts = async function ({ cookie, forum_id } = {}) {
+	const res = await req({
+		requestHeaders: headers(cookie),
+		document: gql`
+			query GetForumPosts($forumId: String!) {
+				posts: getPostsByForumId(forumId: $forumId) {
+					id
+					parentPostId
+					content
+					publishDate
+					createdBy {
+						roleName
+						user {
+							id
+							firstName
+							lastName
+						}
+					}
+				}
+			}
+		`,
+		variables: { forumId: forum_id },
+	});
+
+	if (isAuthError(res)) throw { code: 401, cookie };
+	if (!!res?.message) throw res;
+	return res.posts;
+};
+
 /**
  * @param {Object} args Desctructured arguments
  * @param {Object} args.cookie The cookie object retrieved from Firebase
@@ -162,6 +240,10 @@ export const getAllGrades = async function ({ cookie, class_slug_id, metadata =
 						}
 						id
 						status
+						finalPoints
+						finalComment {
+							comment
+						}
 					}
 				}
 			}
@@ -178,15 +260,66 @@ export const getAllGrades = async function ({ cookie, class_slug_id, metadata =
 	return { grades: grades.map((grade) => ({ ...grade, metadata })), finalGrade };
 };
 
+/**
+ * Get all assessments for a class that have a due date
+ * @param {Object} args Desctructured arguments
+ * @param {Object} args.cookie The cookie object retrieved from Firebase
+ * @param {string} args.class_slug_id unique class slug ID of format COURSE_CODE-SECTION-ID
+ * @param {Object} [args.metadata] Optional metadata to be injected into each element of the response array
+ * @returns {Promise<Object[]>} Array of assessments, flattened across all units of the class
+ */
+export const getClassAssessments = async function ({ cookie, class_slug_id, metadata = {} } = {}) {
+	const res = await req({
+		requestHeaders: headers(cookie),
+		document: gql`
+			query CourseClassAssessments($courseClassSlugId: String!) {
+				courseClass: getCourseClassBySlugId(slugId: $courseClassSlugId) {
+					id
+					units {
+						id
+						title
+						assessments {
+							id
+							title
+							dueDate
+							points
+							type
+						}
+					}
+				}
+			}
+		`,
+		variables: {
+			courseClassSlugId: class_slug_id,
+		},
+	});
+
+	if (isAuthError(res)) throw { code: 401, cookie };
+	if (!!res?.message) throw res;
+	return res.courseClass.units.flatMap(({ title: unitTitle, assessments }) =>
+		assessments
+			.filter(({ dueDate }) => !!dueDate)
+			.map((assessment) => ({ ...assessment, unitTitle, courseClassId: res.courseClass.id, metadata }))
+	);
+};
+
 /**
  * @param {Object} args Desctructured arguments
  * @param {Object} args.cookie The cookie object retrieved from Firebase
  * @param {string} args.assessment_id the unique assessment ID
  * @param {string} args.uid Halo UID of assessment submission author
+ * @param {boolean} [args.include_statistics] Whether to also fetch class-level statistics for the assessment,
+ * which are injected as `statistics` (`null` if Halo does not expose them for the assessment)
  * @param {Object} [args.metadata] Optional metadata to be injected into the response object
  * @returns {Promise<Object>} Array of all grades for the user whose `cookie` was provided
  */
-export const getGradeFeedback = async function ({ cookie, assessment_id, uid, metadata = {} } = {}) {
+export const getGradeFeedback = async function ({
+	cookie,
+	assessment_id,
+	uid,
+	include_statistics = false,
+	metadata = {},
+} = {}) {
 	const res = await req({
 		requestHeaders: headers(cookie),
 		document: gql`
@@ -219,7 +352,43 @@ export const getGradeFeedback = async function ({ cookie, assessment_id, uid, me
 
 	if (isAuthError(res)) throw { code: 401, cookie };
 	if (!!res?.message) throw res;
-	return { ...res.assessmentFeedback, metadata };
+	return {
+		...res.assessmentFeedback,
+		...(include_statistics && { statistics: await getAssessmentStatistics({ cookie, assessment_id }) }),
+		metadata,
+	};
+};
+
+/**
+ * Get class-level statistics for an assessment. Halo only exposes these for some assessments
+ * @param {Object} args Desctructured arguments
+ * @param {Object} args.cookie The cookie object retrieved from Firebase
+ * @param {string} args.assessment_id the unique assessment ID
+ * @returns {Promise<{averagePoints: number, medianPoints: number, highPoints: number} | null>}
+ * `null` if statistics are not available for the assessment
+ */
+export const getAssessmentStatistics = async function ({ cookie, assessment_id } = {}) {
+	const res = await req({
+		requestHeaders: headers(cookie),
+		document: gql`
+			query AssessmentStatistics($assessmentId: String!) {
+				assessmentStatistics: getCourseClassAssessmentStatistics(courseClassAssessmentId: $assessmentId) {
+					averagePoints
+					medianPoints
+					highPoints
+				}
+			}
+		`,
+		variables: {
+			assessmentId: assessment_id,
+		},
+	});
+
+	if (isAuthError(res)) throw { code: 401, cookie };
+	//statistics are optional, so any other error is treated as them being unavailable
+	if (!!res?.message) return null;
+	const statistics = res.assessmentStatistics;
+	return statistics?.averagePoints === null || statistics?.averagePoints === undefined ? null : statistics;
 };
 
 /**
@@ -314,6 +483,8 @@ export const getUserOverview = async function ({ cookie, uid }) {
 						name
 						stage
 						courseCode
+						startDate
+						endDate
 						students {
 							...headerUserFields
 						}
@@ -427,3 +598,86 @@ export const acknowledgePost = async function ({ cookie, post_id }) {
 	if (!!res?.message) throw res;
 	return res.markPostsAsRead;
 };
+
+/**
+ * Post a message to an inbox forum on behalf of a student
+ * @param {Object} args Desctructured arguments
+ * @param {Object} args.cookie The cookie object retrieved from Firebase
+ * @param {string} args.forumId the unique inbox forum ID
+ * @param {string} args.content HTML content of the post
+ * @returns {Promise<Object>} The created inbox post, in the same shape as those from `getPostsForInboxForum()`
+ */
+export const createInboxPost = async function ({ cookie, forumId, content }) {
+	const res = await req({
+		requestHeaders: headers(cookie),
+		document: gql`
+			mutation CreateInboxPost($forumId: String!, $content: String!, $resources: [ResourceInput]) {
+				createInboxPost(forumId: $forumId, content: $content, resources: $resources) {
+					content
+					createdBy {
+						...courseClassUser
+					}
+					id
+					isRead
+					publishDate
+					resources {
+						...resource
+					}
+				}
+			}
+			fragment resource on Resource {
+				id
+				kind
+				name
+			}
+			fragment courseClassUser on CourseClassUser {
+				user {
+					...user
+				}
+			}
+			fragment user on User {
+				firstName
+				lastName
+			}
+		`,
+		//attachments are not supported yet
+		variables: { forumId, content, resources: [] },
+	});
+
+	if (isAuthError(res)) throw { code: 401, cookie };
+	if (!!res?.message) throw res;
+	return res.createInboxPost;
+};
+
+/**
+ * Download the file behind a Halo resource, such as an announcement or inbox message attachment
+ * @param {Object} args Destructured arguments
+ * @param {Object} args.cookie The cookie object retrieved from Firebase
+ * @param {string} args.resource_id The unique resource ID
+ * @param {number} [args.max_size] The largest file, in bytes, that should be downloaded
+ * @returns {Promise<Buffer | null>} The file's contents, or `null` if it is larger than `max_size`
+ */
+export const downloadResource = async function ({ cookie, resource_id, max_size = Infinity }) {
+	try {
+		//check the size up front where possible, so large files are never downloaded
+		const size = await sa_request
+			.head(`${url.resource}/${resource_id}`)
+			.set(headers(cookie))
+			.then(
+				(res) => +res.headers['content-length'],
+				() => NaN
+			);
+		if (size > max_size) return null;
+
+		const res = await sa_request
+			.get(`${url.resource}/${resource_id}`)
+			.set(headers(cookie))
+			.responseType('blob')
+			.maxResponseSize(max_size);
+		return res.body;
+	} catch (e) {
+		if (e?.status === 401) throw { code: 401, cookie };
+		if (e?.code === 'ETOOLARGE') return null;
+		throw e;
+	}
+};
@@ -0,0 +1,97 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { Logger } from '..';
+import { USER_EVENT_HISTORY } from '../../caches';
+//events older than this are pruned from a user's history
+const MAX_HISTORY_AGE = 1000 * 60 * 60 * 24 * 90;
+
+export class HistoryService {
+	static TYPE_NAMES = {
+		announcement: 'Announcements',
+		grade: 'Grades',
+		inbox_message: 'Inbox Messages',
+		due_date: 'Due Date Reminders',
+		forum_post: 'Discussion Forums',
+	};
+	static STATUS_NAMES = {
+		sent: 'Sent',
+		muted: 'Muted',
+		digest: 'Queued for digest',
+		held: 'Held for quiet hours',
+		retrying: 'Retrying',
+		failed: 'Failed',
+	};
+
+	/**
+	 * Record a notification in a user's event history
+	 * @param {string} uid Discord UID
+	 * @param {Object} event
+	 * @param {string} event.type The type of notification
+	 * @param {string} [event.class_id] ID of the class the notification belongs to, if any
+	 * @param {Object} event.summary A condensed version of the notification, see `DeliveryService.deliver()`
+	 * @param {string} event.status How the notification was delivered, one of `STATUS_NAMES`
+	 * @returns {Promise<string>} ID of the history entry, to update its status later
+	 */
+	static async record(uid, { type, class_id = null, summary, status }) {
+		const history_id = randomUUID();
+		const { id = null, title, courseCode = null, url = null } = summary;
+		const history = USER_EVENT_HISTORY.get(uid) ?? [];
+		USER_EVENT_HISTORY.set(uid, [
+			{ history_id, id, type, class_id, title, courseCode, url, status, timestamp: Date.now() },
+			...history.filter(({ timestamp }) => timestamp > Date.now() - MAX_HISTORY_AGE),
+		]);
+		await USER_EVENT_HISTORY.writeCacheFile({ filepath: uid, data: USER_EVENT_HISTORY.get(uid) });
+		return history_id;
+	}
+
+	/**
+	 * Update the delivery status of an entry in a user's event history
+	 * @param {string} uid Discord UID
+	 * @param {string} history_id ID of the history entry, returned by `record()`
+	 * @param {string} status One of `STATUS_NAMES`
+	 * @returns {Promise<void>}
+	 */
+	static async updateStatus(uid, history_id, status) {
+		try {
+			const history = USER_EVENT_HISTORY.get(uid) ?? [];
+			const event = history.find((event) => event.history_id === history_id);
+			if (!event || event.status === status) return;
+			event.status = status;
+			await USER_EVENT_HISTORY.writeCacheFile({ filepath: uid, data: history });
+		} catch (e) {
+			Logger.warn(`Error updating history ${history_id} for user ${uid}: ${e}`);
+		}
+	}
+
+	/**
+	 * @param {Object} args Destructured arguments
+	 * @param {string} args.uid Discord UID
+	 * @param {string} [args.type] Only include notifications of this type
+	 * @param {string} [args.class_id] Only include notifications for this class
+	 * @param {number} [args.days] Only include notifications from the past number of days
+	 * @returns {Object[]} The user's event history, most recent first
+	 */
+	static getHistory({ uid, type = null, class_id = null, days = null }) {
+		return (USER_EVENT_HISTORY.get(uid) ?? []).filter(
+			(event) =>
+				(!type || event.type === type) &&
+				(!class_id || event.class_id === class_id) &&
+				(!days || event.timestamp > Date.now() - days * 1000 * 60 * 60 * 24)
+		);
+	}
+}
@@ -14,8 +14,7 @@
  * along with this program. If not, see <http://www.gnu.org/licenses/>.
  */
 
-import { decode } from 'html-entities';
-import { EmbedBase, Logger } from '..';
+import { DeliveryService, EmbedBase, Logger, MarkdownService } from '..';
 import bot from '../../bot';
 
 export class InboxMessageService {
@@ -38,14 +37,22 @@ export class InboxMessageService {
 	static async #publishInboxMessage({ inbox_message, message }) {
 		try {
 			const discord_uid = inbox_message?.metadata?.uid;
+			const { firstName, lastName } = inbox_message.createdBy.user;
 			const discord_user = await bot.users.fetch(discord_uid);
-			discord_user
-				.send(message)
-				.catch((e) =>
-					Logger.error(
-						`Error sending inbox_message notification to ${discord_user.tag} (${discord_uid}): ${e}`
-					)
-				);
+			const msg = await DeliveryService.deliver({
+				user: discord_user,
+				message,
+				type: 'inbox_message',
+				summary: {
+					id: inbox_message.id,
+					title: `Message from ${firstName} ${lastName}`,
+					url: 'https://halo.gcu.edu/inbox',
+				},
+				resources: inbox_message.resources.filter(({ kind }) => kind !== 'URL'),
+			}).catch((e) =>
+				Logger.error(`Error sending inbox_message notification to ${discord_user.tag} (${discord_uid}): ${e}`)
+			);
+			if (!msg) return; //muted, queued for a digest, held, or failed to send
 			Logger.log(`Inbox Message DM sent to ${discord_user.tag} (${discord_uid})`);
 			bot.logDiscord({
 				embed: new EmbedBase({
@@ -65,7 +72,9 @@ export class InboxMessageService {
 				}),
 			});
 		} catch (e) {
-			Logger.warn(`Error pubishing inbox_message ${inbox_message?.id} for user ${grade?.user?.id}: ${e}`);
+			Logger.warn(
+				`Error pubishing inbox_message ${inbox_message?.id} for user ${inbox_message?.metadata?.uid}: ${e}`
+			);
 		}
 	}
 
@@ -76,19 +85,12 @@ export class InboxMessageService {
 	 */
 	static #parseInboxMessageData({ inbox_message }) {
 		const { firstName, lastName } = inbox_message.createdBy.user;
+		const { text, images } = MarkdownService.fromHtml(inbox_message.content);
 		return {
 			content: `New message received from **${firstName} ${lastName}**:`,
 			embeds: [
 				new EmbedBase({
-					description: decode(
-						inbox_message.content
-							.replaceAll('<br>', '\n')
-							.replaceAll('</p><p>', '\n') //this is kinda hacky ngl
-							.replaceAll('<li>', '\n\t\u2022 ')
-							.replaceAll('</ol>', '\n')
-							.replaceAll('</ul>', '\n')
-							.replace(/<\/?[^>]+(>|$)/g, '')
-					),
+					description: text,
 					fields: [
 						...(!!inbox_message.resources.filter(({ kind }) => kind !== 'URL').length
 							? [
@@ -104,8 +106,44 @@ export class InboxMessageService {
 							  ]
 							: []),
 					],
+					image: !!images.length ? { url: images[0] } : {},
 					timestamp: inbox_message.publishDate,
 				}),
+				//Discord only shows one image per embed
+				...images.slice(1).map((url) => new EmbedBase({ image: { url } })),
+			],
+			components: [
+				{
+					components: [
+						{
+							type: 2,
+							style: 1,
+							custom_id: `$inbox_${inbox_message.metadata.forumId}_${inbox_message.id}`,
+							disabled: false,
+							label: 'Mark as Read',
+							emoji: {
+								name: '✉',
+							},
+						},
+						{
+							type: 2,
+							style: 2,
+							custom_id: `$reply_${inbox_message.metadata.forumId}`,
+							disabled: false,
+							label: 'Reply',
+							emoji: {
+								name: '↩',
+							},
+						},
+						{
+							type: 2,
+							style: 5,
+							label: 'View in Halo',
+							url: 'https://halo.gcu.edu/inbox',
+						},
+					],
+					type: 1,
+				},
 			],
 		};
 	}
@@ -0,0 +1,283 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import { decode } from 'html-entities';
+const HALO_URL = 'https://halo.gcu.edu';
+//tags that never have children or a closing tag
+const VOID_TAGS = [
+	'area',
+	'base',
+	'br',
+	'col',
+	'embed',
+	'hr',
+	'img',
+	'input',
+	'link',
+	'meta',
+	'source',
+	'track',
+	'wbr',
+];
+//tags whose content is never displayed
+const IGNORED_TAGS = ['head', 'script', 'style', 'template', 'title'];
+const BLOCK_TAGS = ['address', 'article', 'div', 'dl', 'dt', 'dd', 'figure', 'footer', 'header', 'section'];
+//inline formatting tags and the markdown they map to
+const INLINE_TAGS = {
+	b: '**',
+	strong: '**',
+	i: '*',
+	em: '*',
+	u: '__',
+	s: '~~',
+	strike: '~~',
+	del: '~~',
+};
+const URL_REGEX = /(https?:\/\/[^\s<]+)/;
+//marks the edge of a block element; any number of them in a row become a single line break
+const BLOCK_BREAK = '\u0000';
+//marks the edge of a paragraph; any run of breaks that includes one becomes a blank line
+const PARAGRAPH_BREAK = '\u0001';
+
+/**
+ * Parse an HTML string into a tree of nodes. Halo rich text is not always well-formed,
+ * so unclosed tags are closed by their parent and stray closing tags are ignored
+ * @param {string} html
+ * @returns {{tag: string, attrs: Object, children: Object[]}} The root node
+ */
+const parse = function (html) {
+	const root = { tag: null, attrs: {}, children: [] };
+	const stack = [root];
+	const TOKEN_REGEX = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|([^<]+|<)/g;
+	for (const [, closing, tag_name, attr_str, text] of html.matchAll(TOKEN_REGEX)) {
+		const parent = stack[stack.length - 1];
+		if (text !== undefined) {
+			parent.children.push(text);
+			continue;
+		}
+		if (!tag_name) continue; //comment
+		const tag = tag_name.toLowerCase();
+		if (!!closing) {
+			const index = stack.map(({ tag }) => tag).lastIndexOf(tag);
+			if (index > 0) stack.length = index;
+			continue;
+		}
+
+		const attrs = {};
+		for (const [, name, ...values] of attr_str.matchAll(
+			/([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+)))?/g
+		))
+			attrs[name.toLowerCase()] = decode(values.find((value) => value !== undefined) ?? '');
+		const node = { tag, attrs, children: [] };
+		parent.children.push(node);
+		if (!VOID_TAGS.includes(tag) && !attr_str.trim().endsWith('/')) stack.push(node);
+	}
+	return root;
+};
+
+/**
+ * @param {string} url A URL found in Halo rich text, which may be relative to Halo
+ * @returns {string | null} The absolute URL, or `null` if it cannot be linked to from Discord
+ */
+const resolveUrl = function (url) {
+	try {
+		const resolved = new URL(url, HALO_URL);
+		return ['http:', 'https:', 'mailto:'].includes(resolved.protocol) ? resolved.href : null;
+	} catch (e) {
+		return null;
+	}
+};
+
+/**
+ * Escape characters that Discord would otherwise treat as markdown, leaving URLs intact
+ * @param {string} str
+ * @returns {string}
+ */
+const escapeMarkdown = function (str) {
+	return str
+		.split(URL_REGEX)
+		.map((part, i) => (i % 2 ? part : part.replace(/[\\*_~`|]/g, (c) => `\\${c}`)))
+		.join('');
+};
+
+/**
+ * @param {Object | string} node
+ * @returns {string} The text content of a node, with whitespace collapsed
+ */
+const textContent = function (node) {
+	if (typeof node === 'string') return decode(node.replace(/\s+/g, ' '));
+	if (IGNORED_TAGS.includes(node.tag)) return '';
+	if (node.tag === 'br') return '\n';
+	return node.children.map(textContent).join('');
+};
+
+/**
+ * @param {string} str Rendered markdown
+ * @param {string} [paragraph_break] What a run of breaks that includes a paragraph break becomes
+ * @returns {string} The markdown with block and paragraph breaks, and the insignificant whitespace around them, resolved
+ */
+const resolveBreaks = function (str, paragraph_break = '\n\n') {
+	return str.replace(/[ \u0000\u0001]*[\u0000\u0001][ \u0000\u0001]*/g, (breaks) =>
+		breaks.includes(PARAGRAPH_BREAK) ? paragraph_break : '\n'
+	);
+};
+
+/**
+ * Wrap inline content in markdown, keeping surrounding whitespace outside of the markers
+ * so that Discord still recognizes them
+ * @param {string} content
+ * @param {string} marker
+ * @returns {string}
+ */
+const wrap = function (content, marker) {
+	const [, leading, inner, trailing] = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+	return !!inner ? `${leading}${marker}${inner}${marker}${trailing}` : content;
+};
+
+/**
+ * Render an HTML table as a monospaced, column-aligned code block
+ * @param {Object} table The `table` node
+ * @returns {string}
+ */
+const renderTable = function (table) {
+	const rows = [];
+	let has_header = false;
+	const collectRows = (node) => {
+		for (const child of node.children) {
+			if (typeof child === 'string') continue;
+			if (child.tag === 'tr') {
+				const cells = child.children.filter((cell) => ['td', 'th'].includes(cell?.tag));
+				if (!rows.length) has_header = cells.some(({ tag }) => tag === 'th');
+				rows.push(cells.map((cell) => textContent(cell).replace(/\s+/g, ' ').trim()));
+			} else if (child.tag !== 'table') collectRows(child);
+		}
+	};
+	collectRows(table);
+	if (!rows.length) return '';
+
+	const widths = rows.reduce(
+		(acc, row) => row.map((cell, i) => Math.max(cell.length, acc[i] ?? 0)).concat(acc.slice(row.length)),
+		[]
+	);
+	const lines = rows.map((row) =>
+		widths
+			.map((width, i) => (row[i] ?? '').padEnd(width))
+			.join(' | ')
+			.trimEnd()
+	);
+	has_header && lines.splice(1, 0, widths.map((width) => '-'.repeat(width)).join('-+-'));
+	return `${BLOCK_BREAK}\`\`\`\n${lines.join('\n').replaceAll('```', '`\u200b``')}\n\`\`\`${BLOCK_BREAK}`;
+};
+
+export class MarkdownService {
+	/**
+	 * Convert Halo rich text to Discord markdown. Links become masked links, lists are bulleted or numbered
+	 * and indented by depth, tables become code blocks, and images are extracted so they can be shown in an embed
+	 * Content without any HTML tags is treated as plain text, so its line breaks are kept
+	 * @param {string} html HTML content of an announcement, inbox message, forum post, grade comment, etc.
+	 * @returns {{text: string, images: string[]}} The markdown, and the URLs of all images in the content
+	 */
+	static fromHtml(html) {
+		const images = [];
+		//whitespace in HTML is insignificant, but plain text has no other way to break lines
+		const whitespace = /<\/?[a-zA-Z][^>]*>/.test(html ?? '') ? /\s+/g : /[^\S\n]+/g;
+		const render = (node, depth = 0) => {
+			if (typeof node === 'string') return escapeMarkdown(decode(node.replace(whitespace, ' ')));
+			const children = (nodes = node.children, child_depth = depth) =>
+				nodes.map((child) => render(child, child_depth)).join('');
+
+			if (IGNORED_TAGS.includes(node.tag)) return '';
+			if (INLINE_TAGS.hasOwnProperty(node.tag)) return wrap(children(), INLINE_TAGS[node.tag]);
+			if (BLOCK_TAGS.includes(node.tag)) return `${BLOCK_BREAK}${children()}${BLOCK_BREAK}`;
+			switch (node.tag) {
+				case 'p':
+					return `${PARAGRAPH_BREAK}${children()}${PARAGRAPH_BREAK}`;
+				case 'br':
+					return '\n';
+				case 'hr':
+					return `${BLOCK_BREAK}―――${BLOCK_BREAK}`;
+				case 'h1':
+				case 'h2':
+				case 'h3':
+				case 'h4':
+				case 'h5':
+				case 'h6':
+					return `${BLOCK_BREAK}${wrap(children(), '**')}${BLOCK_BREAK}`;
+				case 'blockquote':
+					//a blank line would end the quote
+					return `${BLOCK_BREAK}${resolveBreaks(children(), '\n')
+						.trim()
+						.split('\n')
+						.map((line) => `> ${line}`)
+						.join('\n')}${BLOCK_BREAK}`;
+				case 'code':
+					return wrap(textContent(node).replaceAll('`', "'"), '`');
+				case 'pre':
+					return `${BLOCK_BREAK}\`\`\`\n${node.children
+						.map((child) => (typeof child === 'string' ? decode(child) : textContent(child)))
+						.join('')
+						.replaceAll('```', '`\u200b``')
+						.replace(/^\n|\n$/g, '')}\n\`\`\`${BLOCK_BREAK}`;
+				case 'a': {
+					const href = resolveUrl(node.attrs.href ?? '');
+					const text = children().trim();
+					if (!href) return text;
+					if (!text) return href;
+					if ([href, node.attrs.href].some((url) => text === escapeMarkdown(url))) return text;
+					//brackets in the text would end the masked link early
+					return `[${text.replace(/[\[\]]/g, (c) => `\\${c}`)}](${href.replaceAll(')', '%29')})`;
+				}
+				case 'img': {
+					const src = resolveUrl(node.attrs.src ?? '');
+					!!src && !src.startsWith('mailto:') && images.push(src);
+					return '';
+				}
+				case 'ul':
+				case 'ol': {
+					let number = parseInt(node.attrs.start) || 1;
+					return `${BLOCK_BREAK}${node.children
+						.filter((child) => child?.tag === 'li')
+						.map((item) => {
+							const bullet = node.tag === 'ol' ? `${number++}.` : '•';
+							//nested lists render their own newlines and indentation
+							const content = resolveBreaks(children(item.children, depth + 1), '\n').trim();
+							return `${'\t'.repeat(depth)}${bullet} ${content}`;
+						})
+						.join('\n')}${BLOCK_BREAK}`;
+				}
+				case 'table':
+					return renderTable(node);
+				default:
+					return children();
+			}
+		};
+
+		const text = resolveBreaks(render(parse((html ?? '').replace(/[\u0000\u0001]/g, ''))))
+			//code blocks are left untouched
+			.split(/(```[\s\S]*?```)/)
+			.map((part, i) =>
+				i % 2
+					? part
+					: part
+							.replace(/[ \u00a0]+\n/g, '\n')
+							.replace(/\n +/g, '\n')
+							.replace(/\n{3,}/g, '\n\n')
+			)
+			.join('')
+			.replace(/^\s+|\s+$/g, '');
+		return { text, images };
+	}
+}
@@ -0,0 +1,130 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import bot from '../../bot';
+import { Command, EmbedBase, Firebase } from '../../classes';
+
+class classchannel extends Command {
+	constructor() {
+		super({
+			name: 'classchannel',
+			description: "Mirror a Halo class's announcements to a channel in this server",
+			category: 'admin',
+			dmPermission: false,
+			options: [
+				{
+					name: 'link',
+					description: "Post a class's announcements in a channel",
+					type: 'SUB_COMMAND',
+					options: [
+						{
+							name: 'class',
+							description: 'The class whose announcements should be posted',
+							type: 'STRING',
+							required: true,
+							autocomplete: true,
+						},
+						{
+							name: 'channel',
+							description: 'The channel to post announcements in. Defaults to this channel',
+							type: 'CHANNEL',
+							channelTypes: ['GUILD_TEXT', 'GUILD_NEWS'],
+							required: false,
+						},
+					],
+				},
+				{
+					name: 'unlink',
+					description: 'Stop posting class announcements in a channel',
+					type: 'SUB_COMMAND',
+					options: [
+						{
+							name: 'channel',
+							description: 'The channel to stop posting announcements in. Defaults to this channel',
+							type: 'CHANNEL',
+							channelTypes: ['GUILD_TEXT', 'GUILD_NEWS'],
+							required: false,
+						},
+					],
+				},
+			],
+		});
+	}
+
+	async autocomplete({ intr, opts }) {
+		return intr.respond(await Firebase.getUserClassChoices({ uid: intr.user.id, query: opts.getFocused() }));
+	}
+
+	async run({ intr, opts }) {
+		if (!intr.inGuild())
+			return bot.intrReply({
+				intr,
+				embed: new EmbedBase().ErrorDesc('This command can only be used in a server'),
+				ephemeral: true,
+			});
+
+		const channel = opts.getChannel('channel') ?? intr.channel;
+		switch (opts.getSubcommand()) {
+			case 'link': {
+				const class_id = opts.getString('class');
+				//only allow users to link classes they are actually enrolled in
+				const course = (await Firebase.getUserActiveClasses(intr.user.id))[class_id];
+				if (!course)
+					return bot.intrReply({
+						intr,
+						embed: new EmbedBase().ErrorDesc('You must be enrolled in an active class to link it'),
+						ephemeral: true,
+					});
+				if (!channel.permissionsFor(bot.user)?.has(['VIEW_CHANNEL', 'SEND_MESSAGES', 'EMBED_LINKS']))
+					return bot.intrReply({
+						intr,
+						embed: new EmbedBase().ErrorDesc(`I don't have permission to post in ${channel}`),
+						ephemeral: true,
+					});
+
+				await Firebase.linkClassChannel({ class_id, channel, uid: intr.user.id });
+				return bot.intrReply({
+					intr,
+					embed: new EmbedBase({
+						description: `✅ **Announcements for ${course.courseCode} will now be posted in ${channel}**`,
+					}).Success(),
+					ephemeral: true,
+				});
+			}
+			case 'unlink': {
+				const class_ids = await Firebase.unlinkClassChannel(channel.id);
+				if (!class_ids.length)
+					return bot.intrReply({
+						intr,
+						embed: new EmbedBase().ErrorDesc(`${channel} is not linked to any classes`),
+						ephemeral: true,
+					});
+
+				return bot.intrReply({
+					intr,
+					embed: new EmbedBase({
+						description: `✅ **Announcements for ${class_ids.length} class${
+							class_ids.length === 1 ? '' : 'es'
+						} will no longer be posted in ${channel}**`,
+					}).Success(),
+					ephemeral: true,
+				});
+			}
+		}
+	}
+}
+
+export default classchannel;
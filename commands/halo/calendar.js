@@ -0,0 +1,111 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import bot from '../../bot';
+import { CalendarService, Command, EmbedBase, Firebase, Logger } from '../../classes';
+
+class calendar extends Command {
+	constructor() {
+		super({
+			name: 'calendar',
+			description: 'Export your due dates, class dates, and scheduled announcements to your calendar',
+			category: 'halo',
+			options: [
+				{
+					name: 'download',
+					description: 'Receive an iCalendar (.ics) file in your DMs',
+					type: 'SUB_COMMAND',
+				},
+				{
+					name: 'subscribe',
+					description: 'Get a private link that keeps Google, Apple, or Outlook calendars in sync',
+					type: 'SUB_COMMAND',
+				},
+				{
+					name: 'reset',
+					description: 'Invalidate your current subscription link and generate a new one',
+					type: 'SUB_COMMAND',
+				},
+			],
+		});
+	}
+
+	async run({ intr, opts }) {
+		const { user } = intr;
+
+		switch (opts.getSubcommand()) {
+			case 'download': {
+				await intr.deferReply({ ephemeral: true });
+				try {
+					const ics = await CalendarService.generateCalendar(user.id);
+					await user.send({
+						embeds: [
+							new EmbedBase({
+								title: '📅 Halo Calendar',
+								description:
+									'Import this file into your calendar app to add your due dates, class start and end dates, and scheduled announcements',
+							}),
+						],
+						files: [{ attachment: Buffer.from(ics), name: 'halo.ics' }],
+					});
+				} catch (e) {
+					Logger.error(`[${this.name}] Error sending ${user.id} calendar: ${e}`);
+					return bot.intrReply({
+						intr,
+						embed: new EmbedBase().ErrorDesc(
+							'I was unable to DM you your calendar. Make sure your DMs are open and try again'
+						),
+					});
+				}
+				return bot.intrReply({
+					intr,
+					embed: new EmbedBase({ description: '✅ **Your calendar has been sent to your DMs**' }).Success(),
+				});
+			}
+			case 'subscribe': {
+				const url = CalendarService.getSubscriptionUrl(user.id);
+				if (!url)
+					return bot.intrReply({
+						intr,
+						embed: new EmbedBase().ErrorDesc('Calendar subscriptions are not available right now'),
+						ephemeral: true,
+					});
+				return bot.intrReply({
+					intr,
+					embed: new EmbedBase({
+						title: '📅 Subscribe to your Halo Calendar',
+						description: `Add this link to your calendar app as a subscription (sometimes called "From URL") to keep it in sync:\n\`\`\`${url}\`\`\`\n**Keep this link private**, anyone with it can view your calendar. Use \`/calendar reset\` if it is ever shared`,
+					}),
+					ephemeral: true,
+				});
+			}
+			case 'reset': {
+				const version = Firebase.getUserSettingValue({ uid: user.id, setting_id: 17 }) ?? 0;
+				await Firebase.setUserSettingValue({ uid: user.id, setting_id: 17, value: version + 1 });
+				return bot.intrReply({
+					intr,
+					embed: new EmbedBase({
+						description:
+							'✅ **Your previous subscription link no longer works. Use `/calendar subscribe` to get a new one**',
+					}).Success(),
+					ephemeral: true,
+				});
+			}
+		}
+	}
+}
+
+export default calendar;
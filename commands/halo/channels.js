@@ -0,0 +1,163 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import bot from '../../bot';
+import { ChannelService, Command, EmbedBase } from '../../classes';
+
+class channels extends Command {
+	constructor() {
+		const channel_option = {
+			name: 'channel',
+			description: 'The type of delivery channel',
+			type: 'STRING',
+			required: true,
+			choices: Object.entries(ChannelService.CHANNELS).map(([value, name]) => ({ name, value })),
+		};
+		super({
+			name: 'channels',
+			description: 'Send your notifications somewhere else in addition to your DMs',
+			category: 'halo',
+			options: [
+				{
+					name: 'add',
+					description: 'Add or replace a delivery channel',
+					type: 'SUB_COMMAND',
+					options: [
+						channel_option,
+						{
+							name: 'url',
+							description: 'The webhook URL, or ntfy topic URL, to send notifications to',
+							type: 'STRING',
+							required: true,
+						},
+						{
+							name: 'token',
+							description: 'ntfy access token, if your topic is protected',
+							type: 'STRING',
+							required: false,
+						},
+					],
+				},
+				{
+					name: 'remove',
+					description: 'Stop sending notifications to a delivery channel',
+					type: 'SUB_COMMAND',
+					options: [channel_option],
+				},
+				{
+					name: 'list',
+					description: 'View your delivery channels',
+					type: 'SUB_COMMAND',
+				},
+				{
+					name: 'test',
+					description: 'Send a test notification to each of your delivery channels',
+					type: 'SUB_COMMAND',
+				},
+			],
+		});
+	}
+
+	async run({ intr, opts }) {
+		const { user } = intr;
+
+		switch (opts.getSubcommand()) {
+			case 'add': {
+				const channel = opts.getString('channel');
+				const url = opts.getString('url').trim();
+				const error = await ChannelService.validateUrl(channel, url);
+				if (!!error) return bot.intrReply({ intr, embed: new EmbedBase().ErrorDesc(error), ephemeral: true });
+
+				await ChannelService.setChannel({ uid: user.id, channel, url, token: opts.getString('token') });
+				return bot.intrReply({
+					intr,
+					embed: new EmbedBase({
+						description: `✅ **Your notifications will now also be sent to your ${ChannelService.CHANNELS[channel]}.** Use \`/channels test\` to make sure it works`,
+					}).Success(),
+					ephemeral: true,
+				});
+			}
+			case 'remove': {
+				const channel = opts.getString('channel');
+				if (!(await ChannelService.removeChannel({ uid: user.id, channel })))
+					return bot.intrReply({
+						intr,
+						embed: new EmbedBase().ErrorDesc(
+							`You have not set up a ${ChannelService.CHANNELS[channel]} delivery channel`
+						),
+						ephemeral: true,
+					});
+				return bot.intrReply({
+					intr,
+					embed: new EmbedBase({
+						description: `✅ **Your notifications will no longer be sent to your ${ChannelService.CHANNELS[channel]}**`,
+					}).Success(),
+					ephemeral: true,
+				});
+			}
+			case 'list': {
+				const fields = Object.entries(ChannelService.getChannels(user.id)).map(([channel, { url }]) => ({
+					name: ChannelService.CHANNELS[channel] ?? channel,
+					//webhook URLs contain secrets, so only show where they point to
+					value: `\`${new URL(url).origin}/…\``,
+					inline: false,
+				}));
+				return bot.intrReply({
+					intr,
+					embed: new EmbedBase({
+						title: '📡 Delivery Channels',
+						description: !fields.length
+							? '**You have not set up any delivery channels.** Use `/channels add` to set one up'
+							: null,
+						fields,
+					}),
+					ephemeral: true,
+				});
+			}
+			case 'test': {
+				await intr.deferReply({ ephemeral: true });
+				const results = await ChannelService.broadcast({
+					uid: user.id,
+					message: {
+						embeds: [
+							new EmbedBase({
+								title: 'Test Notification',
+								description: 'Your delivery channel is set up correctly',
+							}),
+						],
+					},
+				});
+				const fields = Object.entries(results).map(([channel, sent]) => ({
+					name: ChannelService.CHANNELS[channel],
+					value: sent
+						? '✅ Sent'
+						: '❌ Could not be delivered. Check that the URL is correct and still active',
+					inline: false,
+				}));
+				return bot.intrReply({
+					intr,
+					embed: new EmbedBase({
+						title: '📡 Delivery Channel Test',
+						description: !fields.length ? '**You have not set up any delivery channels**' : null,
+						fields,
+					}),
+				});
+			}
+		}
+	}
+}
+
+export default channels;
@@ -0,0 +1,91 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import { chunk } from 'lodash-es';
+import bot from '../../bot';
+import { Command, EmbedBase, Firebase } from '../../classes';
+
+class classmates extends Command {
+	constructor() {
+		super({
+			name: 'classmates',
+			description: 'Find other students in your class to study with',
+			category: 'halo',
+			options: [
+				{
+					name: 'class',
+					description: 'The class to find classmates in',
+					type: 'STRING',
+					required: true,
+					autocomplete: true,
+				},
+			],
+		});
+	}
+
+	async autocomplete({ intr, opts }) {
+		return intr.respond(await Firebase.getUserClassChoices({ uid: intr.user.id, query: opts.getFocused() }));
+	}
+
+	async run({ intr, opts }) {
+		const { user } = intr;
+		//only users who are listed themselves can see who else is listed
+		if (!Firebase.isClassmatesOptIn(user.id))
+			return bot.intrReply({
+				intr,
+				embed: new EmbedBase().ErrorDesc(
+					'You need to opt into the classmates directory in `/settings` before you can view it'
+				),
+				ephemeral: true,
+			});
+
+		const classes = await Firebase.getUserActiveClasses(user.id);
+		const class_id = opts.getString('class');
+		if (!classes.hasOwnProperty(class_id))
+			return bot.intrReply({
+				intr,
+				embed: new EmbedBase().ErrorDesc('You are not enrolled in that class'),
+				ephemeral: true,
+			});
+
+		const course = classes[class_id];
+		//Discord allows at most 25 buttons per message
+		const classmates = Firebase.getClassmates({ uid: user.id, class_id }).slice(0, 25);
+		const users = await Promise.all(classmates.map((uid) => bot.users.fetch(uid)));
+		return bot.intrReply({
+			intr,
+			embed: new EmbedBase({
+				title: `Classmates in ${course.courseCode} - ${course.name}`,
+				description: !users.length
+					? '**None of your classmates have joined the directory yet**'
+					: `${users.map((classmate) => `• ${bot.formatUser(classmate)}`).join('\n')}\n\n` +
+					  'Send a classmate a study group invite below, which they can accept or decline',
+			}),
+			components: chunk(users, 5).map((row) => ({
+				components: row.map((classmate) => ({
+					type: 2,
+					style: 1,
+					custom_id: `$studyinvite_${class_id}_${classmate.id}`,
+					label: `Invite ${classmate.username}`.substring(0, 80),
+				})),
+				type: 1,
+			})),
+			ephemeral: true,
+		});
+	}
+}
+
+export default classmates;
@@ -0,0 +1,90 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import { round } from 'lodash-es';
+import bot from '../../bot';
+import { Command, EmbedBase, Firebase, GradeService, Halo, Logger } from '../../classes';
+
+class gpa extends Command {
+	constructor() {
+		super({
+			name: 'gpa',
+			description: 'Estimate your term GPA from the current grades in your active classes',
+			category: 'halo',
+		});
+	}
+
+	async run({ intr }) {
+		const { user } = intr;
+		await intr.deferReply({ ephemeral: true });
+
+		const cookie = await Firebase.getUserCookie(user.id);
+		if (!cookie)
+			return bot.intrReply({
+				intr,
+				embed: new EmbedBase().ErrorDesc('Your account is currently not connected to Halo'),
+			});
+
+		const classes = await Firebase.getUserActiveClasses(user.id);
+		if (!Object.keys(classes).length)
+			return bot.intrReply({
+				intr,
+				embed: new EmbedBase().ErrorDesc('You are not enrolled in any active classes'),
+			});
+
+		const scale = GradeService.getGpaScale(user.id);
+		const fields = [];
+		const grade_points = [];
+		for (const course of Object.values(classes)) {
+			try {
+				const { finalGrade } = await Halo.getAllGrades({ cookie, class_slug_id: course.slugId });
+				if (finalGrade.maxPoints < 1) {
+					fields.push({ name: course.courseCode, value: 'No published grades', inline: true });
+					continue;
+				}
+				const percent = (finalGrade.finalPoints / finalGrade.maxPoints) * 100;
+				//prefer the letter grade Halo reports, if it is one we have points for
+				const letter = scale.hasOwnProperty(finalGrade.gradeValue)
+					? finalGrade.gradeValue
+					: GradeService.getLetterGrade(percent);
+				const points = parseFloat(scale[letter]);
+				grade_points.push(points);
+				fields.push({
+					name: course.courseCode,
+					value: `${round(percent, 2)}% \u200b **${letter}** (${points.toFixed(1)})`,
+					inline: true,
+				});
+			} catch (e) {
+				Logger.error(`[${this.name}] Error fetching ${user.id} grades for ${course.courseCode}: ${e}`);
+				fields.push({ name: course.courseCode, value: '❌ Unable to fetch grades', inline: true });
+			}
+		}
+
+		return bot.intrReply({
+			intr,
+			embed: new EmbedBase({
+				title: 'Estimated Term GPA',
+				description: !!grade_points.length
+					? `**${(grade_points.reduce((acc, cur) => acc + cur, 0) / grade_points.length).toFixed(2)}**`
+					: 'None of your classes have published grades yet',
+				fields,
+				footer: 'Every class is weighted equally. Your letter-to-point scale can be changed in /settings',
+			}),
+		});
+	}
+}
+
+export default gpa;
@@ -0,0 +1,128 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import { chunk, round } from 'lodash-es';
+import bot from '../../bot';
+import { Command, EmbedBase, Firebase, Halo, Logger } from '../../classes';
+
+class grades extends Command {
+	constructor() {
+		super({
+			name: 'grades',
+			description: 'View a summary of your published grades',
+			category: 'halo',
+			options: [
+				{
+					name: 'class',
+					description: 'The class to view grades for. Defaults to all of your active classes',
+					type: 'STRING',
+					required: false,
+					autocomplete: true,
+				},
+			],
+		});
+	}
+
+	async autocomplete({ intr, opts }) {
+		return intr.respond(await Firebase.getUserClassChoices({ uid: intr.user.id, query: opts.getFocused() }));
+	}
+
+	async run({ intr, opts }) {
+		const { user } = intr;
+		await intr.deferReply({ ephemeral: true });
+
+		const cookie = await Firebase.getUserCookie(user.id);
+		if (!cookie)
+			return bot.intrReply({
+				intr,
+				embed: new EmbedBase().ErrorDesc('Your account is currently not connected to Halo'),
+			});
+
+		const classes = await Firebase.getUserActiveClasses(user.id);
+		const class_id = opts.getString('class');
+		if (!!class_id && !classes.hasOwnProperty(class_id))
+			return bot.intrReply({
+				intr,
+				embed: new EmbedBase().ErrorDesc('You are not enrolled in that class'),
+			});
+		if (!Object.keys(classes).length)
+			return bot.intrReply({
+				intr,
+				embed: new EmbedBase().ErrorDesc('You are not enrolled in any active classes'),
+			});
+
+		const halo_uid = await Halo.getUserId({ cookie });
+		const embeds = [];
+		for (const [id, course] of Object.entries(classes)) {
+			if (!!class_id && id !== class_id) continue;
+			try {
+				embeds.push(...(await this.#generateClassPages({ cookie, halo_uid, course })));
+			} catch (e) {
+				Logger.error(`[${this.name}] Error fetching ${user.id} grades for ${course.courseCode}: ${e}`);
+				embeds.push(
+					new EmbedBase({
+						title: `${course.courseCode} - ${course.name}`,
+						description: '❌ **I ran into an error while fetching grades for this class**',
+					}).Error()
+				);
+			}
+		}
+
+		return bot.intrPaginate({ intr, embeds });
+	}
+
+	/**
+	 * @param {Object} args Destructured arguments
+	 * @param {Object} args.cookie The cookie object of the user
+	 * @param {string} args.halo_uid Halo UID of the user
+	 * @param {Object} args.course The class object, as stored in Firebase
+	 * @returns {Promise<EmbedBase[]>} One or more embeds summarizing the user's grades in the class
+	 */
+	async #generateClassPages({ cookie, halo_uid, course }) {
+		const parsePercent = function (dividend, divisor) {
+			return divisor < 1 ? 'N/A' : `${round((dividend / divisor) * 100, 2)}%`;
+		};
+
+		const { grades, finalGrade } = await Halo.getAllGrades({ cookie, class_slug_id: course.slugId });
+		//fetched one at a time so that a class with many grades doesn't flood Halo with requests
+		const feedback = [];
+		for (const { assessment } of grades.filter(({ status }) => status === 'PUBLISHED'))
+			feedback.push(await Halo.getGradeFeedback({ cookie, assessment_id: assessment.id, uid: halo_uid }));
+
+		const title = `${course.courseCode} - ${course.name}`;
+		const description = `**Overall Class Grade:** ${finalGrade.finalPoints} / ${
+			finalGrade.maxPoints
+		} (${parsePercent(finalGrade.finalPoints, finalGrade.maxPoints)} \u200b ${finalGrade.gradeValue})`;
+		if (!feedback.length) return [new EmbedBase({ title, description: `${description}\n\nNo published grades` })];
+
+		const pages = chunk(feedback, 12);
+		return pages.map(
+			(page, i) =>
+				new EmbedBase({
+					title: `${title}${pages.length > 1 ? ` (${i + 1} of ${pages.length})` : ''}`,
+					url: `https://halo.gcu.edu/courses/${course.slugId}/student/gradebook`,
+					description,
+					fields: page.map(({ finalPoints, assessment: { points, title } }) => ({
+						name: title,
+						value: `**${finalPoints} / ${points}** (${parsePercent(finalPoints, points)})`,
+						inline: true,
+					})),
+				})
+		);
+	}
+}
+
+export default grades;
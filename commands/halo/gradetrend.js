@@ -0,0 +1,97 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import bot from '../../bot';
+import { CLASS_ASSESSMENTS, USER_GRADE_TRENDS } from '../../caches';
+import { ChartService, Command, EmbedBase, Firebase, Logger } from '../../classes';
+
+class gradetrend extends Command {
+	constructor() {
+		super({
+			name: 'gradetrend',
+			description: 'View a chart of your overall grade in a class over the term',
+			category: 'halo',
+			options: [
+				{
+					name: 'class',
+					description: 'The class to chart your grade for',
+					type: 'STRING',
+					required: true,
+					autocomplete: true,
+				},
+			],
+		});
+	}
+
+	async autocomplete({ intr, opts }) {
+		return intr.respond(await Firebase.getUserClassChoices({ uid: intr.user.id, query: opts.getFocused() }));
+	}
+
+	async run({ intr, opts }) {
+		const { user } = intr;
+		const class_id = opts.getString('class');
+		const course = (await Firebase.getUserActiveClasses(user.id))[class_id];
+		if (!course)
+			return bot.intrReply({
+				intr,
+				embed: new EmbedBase().ErrorDesc('You are not enrolled in that class'),
+				ephemeral: true,
+			});
+
+		const snapshots = USER_GRADE_TRENDS.get([class_id, user.id], []).filter(({ maxPoints }) => maxPoints > 0);
+		if (!snapshots.length)
+			return bot.intrReply({
+				intr,
+				embed: new EmbedBase().ErrorDesc('No grades have been recorded for this class yet'),
+				ephemeral: true,
+			});
+
+		await intr.deferReply({ ephemeral: true });
+		try {
+			const title = `${course.courseCode} - ${course.name}`;
+			const png = ChartService.renderPng(ChartService.generateGradeTrendSvg({ title, snapshots }));
+
+			//numbered in the same order as the chart markers
+			const assessments = CLASS_ASSESSMENTS.get(class_id) ?? [];
+			const markers = snapshots
+				.filter(({ assessmentIds }) => !!assessmentIds?.length)
+				.map(
+					({ assessmentIds }, i) =>
+						`**${i + 1}.** ${assessmentIds
+							.map((id) => assessments.find((assessment) => assessment.id === id)?.title ?? 'Assessment')
+							.join(', ')}`
+				);
+			return bot.intrReply({
+				intr,
+				embed: new EmbedBase({
+					title,
+					url: `https://halo.gcu.edu/courses/${course.slugId}/student/gradebook`,
+					description: !!markers.length ? markers.join('\n').substring(0, 4096) : null,
+					image: { url: 'attachment://gradetrend.png' },
+				}),
+				files: [{ attachment: png, name: 'gradetrend.png' }],
+			});
+		} catch (e) {
+			Logger.error(`[${this.name}] Error rendering ${user.id} grade trend for ${course.courseCode}: ${e}`);
+			return bot.intrReply({
+				intr,
+				embed: new EmbedBase().ErrorDesc('I ran into an error while generating your chart'),
+			});
+		}
+	}
+}
+
+export default gradetrend;
@@ -0,0 +1,97 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import { chunk } from 'lodash-es';
+import bot from '../../bot';
+import { Command, EmbedBase, Firebase, HistoryService } from '../../classes';
+
+class history extends Command {
+	constructor() {
+		super({
+			name: 'history',
+			description: 'View the notifications you have recently received',
+			category: 'halo',
+			options: [
+				{
+					name: 'type',
+					description: 'Only show this type of notification',
+					type: 'STRING',
+					required: false,
+					choices: Object.entries(HistoryService.TYPE_NAMES).map(([value, name]) => ({ name, value })),
+				},
+				{
+					name: 'class',
+					description: 'Only show notifications for this class',
+					type: 'STRING',
+					required: false,
+					autocomplete: true,
+				},
+				{
+					name: 'days',
+					description: 'Only show notifications from the past number of days',
+					type: 'INTEGER',
+					required: false,
+					minValue: 1,
+					maxValue: 90,
+				},
+			],
+		});
+	}
+
+	async autocomplete({ intr, opts }) {
+		return intr.respond(await Firebase.getUserClassChoices({ uid: intr.user.id, query: opts.getFocused() }));
+	}
+
+	async run({ intr, opts }) {
+		const events = HistoryService.getHistory({
+			uid: intr.user.id,
+			type: opts.getString('type'),
+			class_id: opts.getString('class'),
+			days: opts.getInteger('days'),
+		});
+		if (!events.length)
+			return bot.intrReply({
+				intr,
+				embed: new EmbedBase({ description: '**No notifications found**' }),
+				ephemeral: true,
+			});
+
+		const pages = chunk(events, 10);
+		return bot.intrPaginate({
+			intr,
+			embeds: pages.map(
+				(page, i) =>
+					new EmbedBase({
+						title: `Notification History${pages.length > 1 ? ` (${i + 1} of ${pages.length})` : ''}`,
+						description: `${events.length} notification${events.length === 1 ? '' : 's'} found`,
+						fields: page.map(({ title, courseCode, url, type, status, timestamp }) => ({
+							name: `${!!courseCode ? `${courseCode}: ` : ''}${title}`.substring(0, 256),
+							value: [
+								HistoryService.TYPE_NAMES[type] ?? type,
+								bot.formatTimestamp(timestamp, 'R'),
+								HistoryService.STATUS_NAMES[status] ?? status,
+								...(!!url ? [`[View in Halo](${url})`] : []),
+							].join(' • '),
+							inline: false,
+						})),
+					})
+			),
+			ephemeral: true,
+		});
+	}
+}
+
+export default history;
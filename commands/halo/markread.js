@@ -0,0 +1,219 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import bot from '../../bot';
+import { ANNOUNCEMENT_MESSAGES, CLASS_ANNOUNCEMENTS, USER_GRADES, USER_INBOX } from '../../caches';
+import { AnnouncementService, Command, EmbedBase, Firebase, Halo, Logger } from '../../classes';
+const TYPE_NAMES = {
+	announcement: 'Announcements',
+	inbox_message: 'Inbox Messages',
+	grade: 'Grades',
+};
+
+class markread extends Command {
+	constructor() {
+		super({
+			name: 'markread',
+			description: 'Mark all of your unread notifications as read in Halo',
+			category: 'halo',
+			options: [
+				{
+					name: 'class',
+					description: 'Only mark notifications for this class as read',
+					type: 'STRING',
+					required: false,
+					autocomplete: true,
+				},
+				{
+					name: 'type',
+					description: 'Only mark this type of notification as read',
+					type: 'STRING',
+					required: false,
+					choices: Object.entries(TYPE_NAMES).map(([value, name]) => ({ name, value })),
+				},
+			],
+		});
+	}
+
+	async autocomplete({ intr, opts }) {
+		return intr.respond(await Firebase.getUserClassChoices({ uid: intr.user.id, query: opts.getFocused() }));
+	}
+
+	async run({ intr, opts }) {
+		const { user } = intr;
+		const cookie = await Firebase.getUserCookie(user.id);
+		if (!cookie)
+			return bot.intrReply({
+				intr,
+				embed: new EmbedBase().ErrorDesc('Your account is currently not connected to Halo'),
+				ephemeral: true,
+			});
+
+		const classes = await Firebase.getUserActiveClasses(user.id);
+		const class_id = opts.getString('class');
+		if (!!class_id && !classes.hasOwnProperty(class_id))
+			return bot.intrReply({
+				intr,
+				embed: new EmbedBase().ErrorDesc('You are not enrolled in that class'),
+				ephemeral: true,
+			});
+
+		const groups = this.#locateUnreadItems({
+			uid: user.id,
+			classes: !!class_id ? { [class_id]: classes[class_id] } : classes,
+			type: opts.getString('type'),
+			include_inbox: !class_id, //inbox forums do not belong to a class
+		});
+		if (!groups.some(({ items }) => items.length))
+			return bot.intrReply({
+				intr,
+				embed: new EmbedBase({ description: '✅ **You have no unread notifications**' }).Success(),
+				ephemeral: true,
+			});
+
+		const confirmed = await bot.intrConfirm({
+			intr,
+			embed: new EmbedBase({
+				title: 'Mark as Read',
+				description: 'The following will be marked as read in Halo. Are you sure?',
+				fields: this.#generateSummaryFields(groups, ({ items }) => items.length),
+			}),
+			ephemeral: true,
+		});
+		if (!confirmed)
+			return bot.intrReply({
+				intr,
+				embed: new EmbedBase({ description: '❌ **Operation cancelled**' }).Error(),
+			});
+
+		for (const group of groups) {
+			group.cleared = 0;
+			for (const item of group.items) {
+				try {
+					await this.#acknowledgeItem({ uid: user.id, cookie, item });
+					group.cleared++;
+				} catch (e) {
+					Logger.error(`[${this.name}] Error acknowledging ${item.type} ${item.id} for ${user.id}: ${e}`);
+				}
+			}
+		}
+
+		const failed = groups.reduce((acc, { items, cleared }) => acc + items.length - cleared, 0);
+		return bot.intrReply({
+			intr,
+			embed: new EmbedBase({
+				color: !!failed ? EmbedBase.COLORS.WARN : EmbedBase.COLORS.SUCCESS,
+				title: 'Marked as Read',
+				description: !!failed ? `⚠️ **${failed} item(s) could not be marked as read**` : null,
+				fields: this.#generateSummaryFields(groups, ({ cleared }) => cleared),
+			}),
+		});
+	}
+
+	/**
+	 * Enumerate the unread items in the local caches for a user, grouped by class
+	 * @param {Object} args Destructured arguments
+	 * @param {string} args.uid Discord UID
+	 * @param {Object} args.classes The classes to search, of format `{ classId: { courseCode, name } }`
+	 * @param {string} [args.type] Limit the items to this notification type
+	 * @param {boolean} args.include_inbox Whether to include inbox messages, which are not tied to a class
+	 * @returns {{name: string, items: Object[]}[]}
+	 */
+	#locateUnreadItems({ uid, classes, type, include_inbox }) {
+		const groups = [];
+		for (const [class_id, { courseCode }] of Object.entries(classes)) {
+			const items = [];
+			if (!type || type === 'announcement')
+				//Halo does not expose per-user read status for announcements, so use the ones the user was notified of
+				//and has not marked as read through the bot
+				for (const { id } of CLASS_ANNOUNCEMENTS.get(class_id) ?? [])
+					if (
+						ANNOUNCEMENT_MESSAGES.get(id)?.hasOwnProperty(uid) &&
+						!AnnouncementService.isAcknowledged({ uid, announcement_id: id })
+					)
+						items.push({ type: 'announcement', id });
+			if (!type || type === 'grade')
+				for (const { id, userLastSeenDate } of USER_GRADES.get([class_id, uid], []))
+					if (!userLastSeenDate) items.push({ type: 'grade', id, class_id });
+			groups.push({ name: courseCode, items });
+		}
+
+		if (include_inbox && (!type || type === 'inbox_message')) {
+			const items = [];
+			for (const [forum_id, posts] of Object.entries(USER_INBOX.get(uid, {})))
+				for (const { id, isRead } of posts) if (!isRead) items.push({ type: 'inbox_message', id, forum_id });
+			groups.push({ name: 'Inbox', items });
+		}
+		return groups;
+	}
+
+	/**
+	 * Acknowledge a single item in Halo, then reflect the change in the local cache
+	 * @param {Object} args Destructured arguments
+	 * @param {string} args.uid Discord UID
+	 * @param {Object} args.cookie The cookie object retrieved from Firebase
+	 * @param {Object} args.item An item from `#locateUnreadItems()`
+	 * @returns {Promise<void>}
+	 */
+	async #acknowledgeItem({ uid, cookie, item }) {
+		switch (item.type) {
+			case 'announcement':
+				await Halo.acknowledgePost({ cookie, post_id: item.id });
+				await AnnouncementService.recordAcknowledgement({ uid, announcement_id: item.id });
+				break;
+			case 'grade': {
+				const { userLastSeenDate } = await Halo.acknowledgeGrade({ cookie, assessment_grade_id: item.id });
+				const grades = USER_GRADES.get([item.class_id, uid], []).map((grade) =>
+					grade.id === item.id ? { ...grade, userLastSeenDate } : grade
+				);
+				USER_GRADES.set([item.class_id, uid], grades);
+				await USER_GRADES.writeCacheFile({ filepath: `${item.class_id}/${uid}.json`, data: grades });
+				break;
+			}
+			case 'inbox_message': {
+				await Halo.acknowledgePost({ cookie, post_id: item.id });
+				const posts = USER_INBOX.get([uid, item.forum_id], []).map((post) =>
+					post.id === item.id ? { ...post, isRead: true } : post
+				);
+				USER_INBOX.set([uid, item.forum_id], posts);
+				await USER_INBOX.writeCacheFile({ filepath: `${uid}/${item.forum_id}.json`, data: posts });
+				break;
+			}
+		}
+	}
+
+	/**
+	 * @param {Object[]} groups Groups from `#locateUnreadItems()`
+	 * @param {Function} count Returns the number to display for a group
+	 * @returns {Object[]} One embed field per class that has unread items
+	 */
+	#generateSummaryFields(groups, count) {
+		return groups
+			.filter(({ items }) => items.length)
+			.map((group) => ({
+				name: group.name,
+				value: Object.entries(TYPE_NAMES)
+					.map(([type, name]) => [name, group.items.filter((item) => item.type === type).length])
+					.filter(([, total]) => total)
+					.map(([name]) => name)
+					.join(', ')
+					.concat(` - **${count(group)}** item(s)`),
+				inline: false,
+			}));
+	}
+}
+
+export default markread;
@@ -0,0 +1,133 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import bot from '../../bot';
+import { Command, DeliveryService, EmbedBase, Firebase } from '../../classes';
+const TYPE_NAMES = {
+	all: 'All Notifications',
+	announcement: 'Announcements',
+	grade: 'Grades',
+	due_date: 'Due Date Reminders',
+	forum_post: 'Discussion Forums',
+};
+
+class mute extends Command {
+	constructor() {
+		const class_option = {
+			name: 'class',
+			description: 'The class to mute notifications for',
+			type: 'STRING',
+			required: true,
+			autocomplete: true,
+		};
+		const type_option = {
+			name: 'type',
+			description: 'The type of notification to mute. Defaults to all notifications',
+			type: 'STRING',
+			required: false,
+			choices: Object.entries(TYPE_NAMES).map(([value, name]) => ({ name, value })),
+		};
+		super({
+			name: 'mute',
+			description: 'Mute notifications for a single class',
+			category: 'halo',
+			options: [
+				{
+					name: 'add',
+					description: 'Mute notifications for a class',
+					type: 'SUB_COMMAND',
+					options: [class_option, type_option],
+				},
+				{
+					name: 'remove',
+					description: 'Unmute notifications for a class',
+					type: 'SUB_COMMAND',
+					options: [class_option, type_option],
+				},
+				{
+					name: 'list',
+					description: 'View the classes you have muted',
+					type: 'SUB_COMMAND',
+				},
+			],
+		});
+	}
+
+	async autocomplete({ intr, opts }) {
+		return intr.respond(await Firebase.getUserClassChoices({ uid: intr.user.id, query: opts.getFocused() }));
+	}
+
+	async run({ intr, opts }) {
+		const { user } = intr;
+		const classes = await Firebase.getUserActiveClasses(user.id);
+		const muted = DeliveryService.getMutedClasses(user.id);
+
+		if (opts.getSubcommand() === 'list') {
+			const fields = Object.entries(muted)
+				.filter(([, types]) => Object.values(types).some(Boolean))
+				.map(([class_id, types]) => ({
+					name: !!classes[class_id]
+						? `${classes[class_id].courseCode} - ${classes[class_id].name}`
+						: class_id,
+					value: Object.keys(types)
+						.filter((type) => !!types[type])
+						.map((type) => TYPE_NAMES[type] ?? type)
+						.join(', '),
+					inline: false,
+				}));
+			return bot.intrReply({
+				intr,
+				embed: new EmbedBase({
+					title: '🔇 Muted Classes',
+					description: !fields.length ? '**You have not muted any classes**' : null,
+					fields,
+				}),
+				ephemeral: true,
+			});
+		}
+
+		const class_id = opts.getString('class');
+		const type = opts.getString('type') ?? 'all';
+		if (!classes.hasOwnProperty(class_id) && !muted.hasOwnProperty(class_id))
+			return bot.intrReply({
+				intr,
+				embed: new EmbedBase().ErrorDesc('You are not enrolled in that class'),
+				ephemeral: true,
+			});
+
+		const add = opts.getSubcommand() === 'add';
+		const types = { ...muted[class_id] };
+		//unmuting everything also clears any individually muted types
+		if (!add && type === 'all') for (const key of Object.keys(types)) delete types[key];
+		else if (add) types[type] = true;
+		else delete types[type];
+
+		const value = { ...muted, [class_id]: types };
+		if (!Object.keys(types).length) delete value[class_id];
+		await Firebase.setUserSettingValue({ uid: user.id, setting_id: 12, value });
+
+		const class_name = classes[class_id]?.courseCode ?? class_id;
+		return bot.intrReply({
+			intr,
+			embed: new EmbedBase({
+				description: `✅ **${add ? 'Muted' : 'Unmuted'} ${TYPE_NAMES[type].toLowerCase()} for ${class_name}**`,
+			}).Success(),
+			ephemeral: true,
+		});
+	}
+}
+
+export default mute;
@@ -0,0 +1,145 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import bot from '../../bot';
+import { Command, DeliveryService, EmbedBase, Firebase } from '../../classes';
+const TIME_REGEX = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+class quiethours extends Command {
+	constructor() {
+		super({
+			name: 'quiethours',
+			description: 'Hold notifications during certain hours and receive them all at once afterwards',
+			category: 'halo',
+			options: [
+				{
+					name: 'set',
+					description: 'Set your quiet hours',
+					type: 'SUB_COMMAND',
+					options: [
+						{
+							name: 'start',
+							description: 'When quiet hours begin, in 24-hour HH:mm format (e.g. 23:00)',
+							type: 'STRING',
+							required: true,
+						},
+						{
+							name: 'end',
+							description: 'When quiet hours end, in 24-hour HH:mm format (e.g. 07:00)',
+							type: 'STRING',
+							required: true,
+						},
+						{
+							name: 'timezone',
+							description:
+								'Your timezone, e.g. America/Phoenix. Defaults to your current timezone setting',
+							type: 'STRING',
+							required: false,
+						},
+					],
+				},
+				{
+					name: 'off',
+					description: 'Turn off quiet hours',
+					type: 'SUB_COMMAND',
+				},
+				{
+					name: 'view',
+					description: 'View your current quiet hours',
+					type: 'SUB_COMMAND',
+				},
+			],
+		});
+	}
+
+	async run({ intr, opts }) {
+		const { user } = intr;
+		switch (opts.getSubcommand()) {
+			case 'set': {
+				const start = opts.getString('start').trim();
+				const end = opts.getString('end').trim();
+				const timezone = opts.getString('timezone')?.trim();
+				if (!TIME_REGEX.test(start) || !TIME_REGEX.test(end))
+					return bot.intrReply({
+						intr,
+						embed: new EmbedBase().ErrorDesc('Times must be in 24-hour HH:mm format, e.g. 23:00'),
+						ephemeral: true,
+					});
+				if (start === end)
+					return bot.intrReply({
+						intr,
+						embed: new EmbedBase().ErrorDesc('Quiet hours must start and end at different times'),
+						ephemeral: true,
+					});
+				if (!!timezone) {
+					try {
+						new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+					} catch (e) {
+						return bot.intrReply({
+							intr,
+							embed: new EmbedBase().ErrorDesc(`\`${timezone}\` is not a valid timezone`),
+							ephemeral: true,
+						});
+					}
+					await Firebase.setUserSettingValue({ uid: user.id, setting_id: 10, value: timezone });
+				}
+
+				//zero-pad so times can be compared consistently
+				const pad = (time) => time.padStart(5, '0');
+				await Firebase.setUserSettingValue({
+					uid: user.id,
+					setting_id: 11,
+					value: { start: pad(start), end: pad(end) },
+				});
+				return bot.intrReply({
+					intr,
+					embed: new EmbedBase({
+						description: `✅ **Notifications will be held from ${pad(start)} to ${pad(end)} (${
+							timezone || Firebase.getUserTimezone(user.id)
+						})**`,
+					}).Success(),
+					ephemeral: true,
+				});
+			}
+			case 'off': {
+				await Firebase.setUserSettingValue({ uid: user.id, setting_id: 11, value: null });
+				return bot.intrReply({
+					intr,
+					embed: new EmbedBase({
+						description: '✅ **Quiet hours turned off**; held notifications will be delivered shortly',
+					}).Success(),
+					ephemeral: true,
+				});
+			}
+			case 'view': {
+				const quiet_hours = DeliveryService.getQuietHours(user.id);
+				return bot.intrReply({
+					intr,
+					embed: new EmbedBase({
+						description: !!quiet_hours
+							? `🌙 **Your quiet hours are ${quiet_hours.start} to ${
+									quiet_hours.end
+							  } (${Firebase.getUserTimezone(user.id)})**`
+							: '**You have not set any quiet hours**',
+					}),
+					ephemeral: true,
+				});
+			}
+		}
+	}
+}
+
+export default quiethours;
@@ -0,0 +1,237 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import { chunk, isEqual } from 'lodash-es';
+import bot from '../../bot';
+import { Command, EmbedBase, Firebase, Logger } from '../../classes';
+import { DEFAULT_SETTINGS_STORE } from '../../stores';
+const ROWS_PER_PAGE = 4; //Discord allows 5 action rows per message, one is reserved for page navigation
+
+class settings extends Command {
+	constructor() {
+		super({
+			name: 'settings',
+			description: 'View and change your notification settings',
+			category: 'halo',
+		});
+	}
+
+	async run({ intr }) {
+		const { user } = intr;
+		const defaults = DEFAULT_SETTINGS_STORE.entires()
+			.filter(([, setting]) => !!setting && typeof setting === 'object')
+			.sort(([a], [b]) => a - b);
+		if (!defaults.length)
+			return bot.intrReply({
+				intr,
+				embed: new EmbedBase().ErrorDesc('There are no settings available right now'),
+				ephemeral: true,
+			});
+
+		//track values locally, since the store takes a moment to sync after each change
+		const values = Object.fromEntries(
+			defaults.map(([id]) => [id, Firebase.getUserSettingValue({ uid: user.id, setting_id: id })])
+		);
+		const pages = this.#paginateControls(defaults);
+		let page = 0;
+		const render = () => ({
+			embed: this.#generateEmbed({ defaults, values }),
+			components: [
+				...pages[page].map((row) => this.#generateRow({ row, values })),
+				...(pages.length > 1
+					? [
+							{
+								components: [
+									{
+										type: 2,
+										style: 2,
+										custom_id: 'settings-prev',
+										label: 'Previous',
+										disabled: page === 0,
+									},
+									{
+										type: 2,
+										style: 2,
+										custom_id: 'settings-next',
+										label: 'Next',
+										disabled: page === pages.length - 1,
+									},
+								],
+								type: 1,
+							},
+					  ]
+					: []),
+			],
+		});
+
+		const msg = await bot.intrReply({ intr, ...render(), ephemeral: true });
+		msg.createMessageComponentCollector({
+			filter: ({ user: { id }, customId }) => id === user.id && customId.startsWith('settings-'),
+			time: 1000 * 60 * 10,
+		})
+			.on('collect', async (component_intr) => {
+				try {
+					const [action, setting_id] = component_intr.customId.split('_');
+					switch (action) {
+						case 'settings-prev':
+						case 'settings-next':
+							page += action === 'settings-next' ? 1 : -1;
+							break;
+						case 'settings-toggle':
+							values[setting_id] = !values[setting_id];
+							await Firebase.setUserSettingValue({
+								uid: user.id,
+								setting_id,
+								value: values[setting_id],
+							});
+							break;
+						case 'settings-select':
+							values[setting_id] = this.#getOptions(DEFAULT_SETTINGS_STORE.get(setting_id))[
+								+component_intr.values[0]
+							].value;
+							await Firebase.setUserSettingValue({
+								uid: user.id,
+								setting_id,
+								value: values[setting_id],
+							});
+							break;
+					}
+					await bot.intrUpdate({ intr: component_intr, ...render() });
+				} catch (err) {
+					Logger.error(`Error with ${this.name} component ${component_intr.customId}: ${err}`);
+					bot.intrReply({
+						intr: component_intr,
+						embed: new EmbedBase().ErrorDesc('I ran into an error while trying to update that setting'),
+						ephemeral: true,
+					});
+				}
+			})
+			.on('end', () => intr.editReply({ components: [] }).catch(() => {}));
+	}
+
+	/**
+	 * Normalize the options of a select-type setting
+	 * @param {Object} setting A setting object from the `DEFAULT_SETTINGS_STORE`
+	 * @returns {{label: string, value: any}[]}
+	 */
+	#getOptions(setting) {
+		//firebase stores arrays as objects with numeric keys
+		return Object.values(setting?.options ?? {}).map((option) =>
+			option !== null && typeof option === 'object'
+				? { label: `${option.label ?? option.value}`, value: option.value }
+				: { label: `${option}`, value: option }
+		);
+	}
+
+	/**
+	 * Format a setting value for display
+	 * @param {Object} setting A setting object from the `DEFAULT_SETTINGS_STORE`
+	 * @param {any} value The value to format
+	 * @returns {string}
+	 */
+	#formatValue(setting, value) {
+		if (typeof value === 'boolean') return value ? 'On' : 'Off';
+		if (value === null || value === undefined) return 'Not set';
+		const option = this.#getOptions(setting).find((option) => isEqual(option.value, value));
+		if (!!option) return option.label;
+		return typeof value === 'object' ? `\`${JSON.stringify(value)}\`` : `${value}`;
+	}
+
+	/**
+	 * Group the controllable settings into action rows, then group the rows into pages
+	 * Boolean settings are toggle buttons (5 per row) and settings with `options` are select menus (1 per row)
+	 * @param {Array<[string, Object]>} defaults Entries of the `DEFAULT_SETTINGS_STORE`
+	 * @returns {Array<Array<{type: 'toggle' | 'select', settings: Array}>>} Pages of rows
+	 */
+	#paginateControls(defaults) {
+		const toggles = defaults.filter(([, setting]) => typeof setting.value === 'boolean');
+		const selects = defaults.filter(
+			([, setting]) => typeof setting.value !== 'boolean' && !!this.#getOptions(setting).length
+		);
+		const rows = [
+			...chunk(toggles, 5).map((settings) => ({ type: 'toggle', settings })),
+			...selects.map((setting) => ({ type: 'select', settings: [setting] })),
+		];
+		return rows.length ? chunk(rows, ROWS_PER_PAGE) : [[]];
+	}
+
+	/**
+	 * @param {Object} args Destructured arguments
+	 * @param {{type: 'toggle' | 'select', settings: Array}} args.row A row of controls, from `#paginateControls()`
+	 * @param {Object} args.values The user's effective setting values, keyed by setting id
+	 * @returns {Object} An action row
+	 */
+	#generateRow({ row: { type, settings }, values }) {
+		if (type === 'toggle')
+			return {
+				components: settings.map(([id, setting]) => ({
+					type: 2,
+					style: values[id] ? 3 : 2,
+					custom_id: `settings-toggle_${id}`,
+					label: `${setting.name ?? `Setting ${id}`}`.slice(0, 80),
+					emoji: {
+						name: values[id] ? '✅' : '⬜',
+					},
+				})),
+				type: 1,
+			};
+
+		const [[id, setting]] = settings;
+		return {
+			components: [
+				{
+					type: 3,
+					custom_id: `settings-select_${id}`,
+					placeholder: `${setting.name ?? `Setting ${id}`}`.slice(0, 150),
+					options: this.#getOptions(setting)
+						.slice(0, 25)
+						.map(({ label, value }, i) => ({
+							label: label.slice(0, 100),
+							value: i.toString(),
+							default: isEqual(value, values[id]),
+						})),
+				},
+			],
+			type: 1,
+		};
+	}
+
+	/**
+	 * @param {Object} args Destructured arguments
+	 * @param {Array<[string, Object]>} args.defaults Entries of the `DEFAULT_SETTINGS_STORE`
+	 * @param {Object} args.values The user's effective setting values, keyed by setting id
+	 * @returns {EmbedBase}
+	 */
+	#generateEmbed({ defaults, values }) {
+		return new EmbedBase({
+			title: 'Notification Settings',
+			description: 'Use the buttons and menus below to change your settings',
+			fields: defaults.map(([id, setting]) => ({
+				name: `${setting.name ?? `Setting ${id}`}`,
+				value: [
+					...(!!setting.description ? [setting.description] : []),
+					`Current: **${this.#formatValue(setting, values[id])}**${
+						isEqual(values[id], setting.value)
+							? ' (default)'
+							: ` • Default: ${this.#formatValue(setting, setting.value)}`
+					}`,
+				].join('\n'),
+			})),
+		});
+	}
+}
+
+export default settings;
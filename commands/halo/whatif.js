@@ -0,0 +1,247 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import { round } from 'lodash-es';
+import bot from '../../bot';
+import { Command, EmbedBase, Firebase, GradeService, Halo, Logger } from '../../classes';
+//Discord allows at most 5 inputs per modal
+const MODAL_INPUT_LIMIT = 5;
+
+class whatif extends Command {
+	constructor() {
+		super({
+			name: 'whatif',
+			description: 'Project your final grade from hypothetical scores on your remaining assessments',
+			category: 'halo',
+			options: [
+				{
+					name: 'class',
+					description: 'The class to project your grade for',
+					type: 'STRING',
+					required: true,
+					autocomplete: true,
+				},
+			],
+		});
+	}
+
+	async autocomplete({ intr, opts }) {
+		return intr.respond(await Firebase.getUserClassChoices({ uid: intr.user.id, query: opts.getFocused() }));
+	}
+
+	async run({ intr, opts }) {
+		const { user } = intr;
+		await intr.deferReply({ ephemeral: true });
+
+		const cookie = await Firebase.getUserCookie(user.id);
+		if (!cookie)
+			return bot.intrReply({
+				intr,
+				embed: new EmbedBase().ErrorDesc('Your account is currently not connected to Halo'),
+			});
+
+		const classes = await Firebase.getUserActiveClasses(user.id);
+		const course = classes[opts.getString('class')];
+		if (!course)
+			return bot.intrReply({
+				intr,
+				embed: new EmbedBase().ErrorDesc('You are not enrolled in that class'),
+			});
+
+		let finalGrade, remaining;
+		try {
+			const { grades, finalGrade: final_grade } = await Halo.getAllGrades({
+				cookie,
+				class_slug_id: course.slugId,
+			});
+			const graded = new Set(
+				grades.filter(({ status }) => status === 'PUBLISHED').map(({ assessment }) => assessment.id)
+			);
+			finalGrade = final_grade;
+			remaining = (await Halo.getClassAssessments({ cookie, class_slug_id: course.slugId })).filter(
+				({ id, points }) => !graded.has(id) && points > 0
+			);
+		} catch (e) {
+			Logger.error(`[${this.name}] Error fetching ${user.id} grades for ${course.courseCode}: ${e}`);
+			return bot.intrReply({
+				intr,
+				embed: new EmbedBase().ErrorDesc('I ran into an error while fetching your grades'),
+			});
+		}
+
+		//assessment id => hypothetical points earned
+		const hypothetical = new Map();
+		const components = () => [
+			{
+				components: [
+					{
+						type: 2,
+						style: 1,
+						custom_id: 'whatif-enter',
+						label: 'Enter Scores',
+						disabled: !remaining.length,
+					},
+					{
+						type: 2,
+						style: 2,
+						custom_id: 'whatif-reset',
+						label: 'Reset',
+						disabled: !hypothetical.size,
+					},
+				],
+				type: 1,
+			},
+		];
+		const msg = await bot.intrReply({
+			intr,
+			embed: this.#generateProjectionEmbed({ course, finalGrade, remaining, hypothetical }),
+			components: components(),
+		});
+
+		msg.createMessageComponentCollector({
+			filter: ({ user: { id }, customId }) =>
+				id === user.id && ['whatif-enter', 'whatif-reset'].includes(customId),
+			time: 1000 * 60 * 10,
+		})
+			.on('collect', async (btn) => {
+				try {
+					if (btn.customId === 'whatif-reset') {
+						hypothetical.clear();
+						return await btn.update({
+							embeds: [this.#generateProjectionEmbed({ course, finalGrade, remaining, hypothetical })],
+							components: components(),
+						});
+					}
+
+					//prompt for the assessments without a score first, then start over
+					const unscored = remaining.filter(({ id }) => !hypothetical.has(id));
+					const prompted = (unscored.length ? unscored : remaining).slice(0, MODAL_INPUT_LIMIT);
+					const modal_id = `whatif-modal-${btn.id}`;
+					await btn.showModal({
+						customId: modal_id,
+						title: 'Hypothetical Scores',
+						components: prompted.map(({ id, title, points }) => ({
+							type: 1,
+							components: [
+								{
+									type: 4,
+									style: 1,
+									custom_id: id,
+									label: title.substring(0, 45),
+									placeholder: `Points out of ${points}, or a percentage like 90%`,
+									value: hypothetical.has(id) ? `${hypothetical.get(id)}` : null,
+									required: false,
+									max_length: 10,
+								},
+							],
+						})),
+					});
+
+					const submit = await btn
+						.awaitModalSubmit({ filter: (i) => i.customId === modal_id, time: 1000 * 60 * 5 })
+						.catch(() => null);
+					if (!submit) return;
+					for (const { id, points } of prompted) {
+						const score = this.#parseScore(submit.fields.getTextInputValue(id), points);
+						score === null ? hypothetical.delete(id) : hypothetical.set(id, score);
+					}
+					await submit.update({
+						embeds: [this.#generateProjectionEmbed({ course, finalGrade, remaining, hypothetical })],
+						components: components(),
+					});
+				} catch (err) {
+					Logger.error(`[${this.name}] collector err: ${err}`);
+				}
+			})
+			.on('end', () => intr.editReply({ components: [] }).catch(() => {}));
+	}
+
+	/**
+	 * @param {string} input The raw score entered by the user, e.g. `45`, `45/50`, or `90%`
+	 * @param {number} points The number of points the assessment is worth
+	 * @returns {number | null} The number of points earned, or `null` if the input is empty or invalid
+	 */
+	#parseScore(input, points) {
+		const value = input?.trim();
+		if (!value) return null;
+		const score = value.endsWith('%')
+			? (parseFloat(value) / 100) * points
+			: parseFloat(value.includes('/') ? value.split('/')[0] : value);
+		return isNaN(score) || score < 0 ? null : round(score, 2);
+	}
+
+	/**
+	 * @param {Object} args Destructured arguments
+	 * @param {Object} args.course The class object, as stored in Firebase
+	 * @param {Object} args.finalGrade The class's current `finalGrade`, from `Halo.getAllGrades()`
+	 * @param {Object[]} args.remaining The assessments that have not been graded yet
+	 * @param {Map<string, number>} args.hypothetical Hypothetical points earned, by assessment ID
+	 * @returns {EmbedBase}
+	 */
+	#generateProjectionEmbed({ course, finalGrade, remaining, hypothetical }) {
+		const format = (earned, possible) =>
+			possible < 1
+				? 'N/A'
+				: `${round(earned, 2)} / ${round(possible, 2)} (${round(
+						(earned / possible) * 100,
+						2
+				  )}% \u200b ${GradeService.getLetterGrade((earned / possible) * 100)})`;
+		const entered = remaining.filter(({ id }) => hypothetical.has(id));
+		const projected_earned =
+			finalGrade.finalPoints + entered.reduce((acc, { id }) => acc + hypothetical.get(id), 0);
+		const projected_possible = finalGrade.maxPoints + entered.reduce((acc, { points }) => acc + points, 0);
+		const remaining_points = remaining.reduce((acc, { points }) => acc + points, 0);
+
+		return new EmbedBase({
+			title: `What If: ${course.courseCode} - ${course.name}`,
+			description: !remaining.length
+				? 'You have no remaining assessments in this class'
+				: 'Press **Enter Scores** to project your grade from hypothetical scores on your remaining assessments',
+			fields: [
+				{
+					name: 'Current Grade',
+					value: `${format(finalGrade.finalPoints, finalGrade.maxPoints)}${
+						!!finalGrade.gradeValue ? ` \u200b (Halo: ${finalGrade.gradeValue})` : ''
+					}`,
+					inline: false,
+				},
+				...(!!entered.length
+					? [
+							{
+								name: 'Projected Grade',
+								value: format(projected_earned, projected_possible),
+								inline: false,
+							},
+					  ]
+					: []),
+				{
+					name: 'Highest Possible Grade',
+					value: format(finalGrade.finalPoints + remaining_points, finalGrade.maxPoints + remaining_points),
+					inline: false,
+				},
+				...remaining.slice(0, 20).map(({ id, title, points }) => ({
+					name: title.substring(0, 256),
+					value: hypothetical.has(id)
+						? `**${hypothetical.get(id)} / ${points}** (hypothetical)`
+						: `_ / ${points}`,
+					inline: true,
+				})),
+			],
+		});
+	}
+}
+
+export default whatif;
@@ -0,0 +1,31 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import { CronEvent, DigestService, Logger } from '../../classes';
+
+export default class extends CronEvent {
+	constructor() {
+		super({
+			name: 'publishDigests',
+			schedule: '0 * * * *', //every hour, digests are sent at each user's chosen hour
+		});
+	}
+
+	async run() {
+		const count = await DigestService.publishDigests();
+		!!count && Logger.cron(`[${this.name}] published ${count} digests`);
+	}
+}
@@ -14,11 +14,20 @@
  * along with this program. If not, see <http://www.gnu.org/licenses/>.
  */
 
+import { setTimeout as sleep } from 'node:timers/promises';
 import bot from '../../bot';
-import { CRON_CLASS_STAGES, CRON_USER_CLASS_STATUSES } from '../../caches';
+import { CRON_CLASS_STAGES, CRON_COURSE_ROLES, CRON_USER_CLASS_STATUSES } from '../../caches';
 import { CronEvent, EmbedBase, Firebase, Halo, Logger } from '../../classes';
 import { db } from '../../firebase';
 import { USER_CLASSES_MAP } from '../../stores';
+//course roles are assigned while a class is in this stage
+const ROLE_ASSIGN_STAGES = ['CURRENT'];
+//course roles are kept until a class moves past these stages
+const ROLE_KEEP_STAGES = ['CURRENT', 'POST'];
+//course roles are only given to students with this status in the class, so dropped or withdrawn students lose them
+const ROLE_STUDENT_STATUS = 'ACTIVE';
+//delay between role changes, to stay clear of Discord's rate limits
+const ROLE_UPDATE_DELAY = 1000;
 
 // although this is two operations in one, it's more efficient to iterate over the users and their classes in a single run than to break it up
 export default class extends CronEvent {
@@ -52,6 +61,75 @@ export default class extends CronEvent {
 		return;
 	}
 
+	/**
+	 * Get the main guild role the bot created for a course, creating it if it does not exist yet.
+	 * Only roles tracked in `CRON_COURSE_ROLES` are used, so existing guild roles that share a course's name are never adopted
+	 * @param {Object} args Destructured arguments
+	 * @param {string} args.courseCode Readable course code, used as the role name
+	 * @param {Object[]} args.changelog
+	 * @returns {Promise<Role>}
+	 */
+	async #resolveCourseRole({ courseCode, changelog }) {
+		const { roles } = bot.main_guild;
+		const cached_role = CRON_COURSE_ROLES.has(courseCode)
+			? await roles.fetch(CRON_COURSE_ROLES.get(courseCode)).catch(() => null)
+			: null;
+		if (!!cached_role) return cached_role;
+
+		const role = await roles.create({
+			name: courseCode,
+			mentionable: false,
+			reason: `Course role for ${courseCode}`,
+		});
+		Logger.cron(`[${this.name}] created course role ${courseCode}`);
+		changelog.push({ type: 'role_create', courseCode });
+		CRON_COURSE_ROLES.set(courseCode, role.id);
+		await CRON_COURSE_ROLES.writeCacheFile({ filepath: courseCode, data: role.id });
+		await sleep(ROLE_UPDATE_DELAY);
+		return role;
+	}
+
+	/**
+	 * Assign a user the roles of their current courses, and remove the roles of courses they are no longer active in.
+	 * Users who have not opted in have all course roles removed
+	 * @param {Object} args Destructured arguments
+	 * @param {string} args.uid Discord UID
+	 * @param {string} args.halo_id Halo UID of the user
+	 * @param {Object[]} args.classes The user's classes, as retrieved from `Halo.getUserOverview()`
+	 * @param {Object[]} args.changelog
+	 * @returns {Promise<void>}
+	 */
+	async #syncCourseRoles({ uid, halo_id, classes, changelog }) {
+		const member = await bot.main_guild?.members.fetch(uid).catch(() => null);
+		if (!member) return;
+
+		const opted_in = !!Firebase.getUserSettingValue({ uid, setting_id: 14 });
+		const enrolled = !opted_in
+			? []
+			: classes.filter(
+					({ students }) => students.find(({ userId }) => userId === halo_id)?.status === ROLE_STUDENT_STATUS
+			  );
+		const assign = new Set(
+			enrolled.filter(({ stage }) => ROLE_ASSIGN_STAGES.includes(stage)).map((c) => c.courseCode)
+		);
+		const keep = new Set(enrolled.filter(({ stage }) => ROLE_KEEP_STAGES.includes(stage)).map((c) => c.courseCode));
+
+		for (const courseCode of assign) {
+			const role = await this.#resolveCourseRole({ courseCode, changelog });
+			if (member.roles.cache.has(role.id)) continue;
+			await member.roles.add(role, 'Enrolled in course');
+			changelog.push({ type: 'user_add_role', uid, courseCode });
+			await sleep(ROLE_UPDATE_DELAY);
+		}
+
+		for (const [courseCode, role_id] of CRON_COURSE_ROLES.entires) {
+			if (keep.has(courseCode) || !member.roles.cache.has(role_id)) continue;
+			await member.roles.remove(role_id, opted_in ? 'No longer enrolled in course' : 'Opted out of course roles');
+			changelog.push({ type: 'user_remove_role', uid, courseCode });
+			await sleep(ROLE_UPDATE_DELAY);
+		}
+	}
+
 	async run() {
 		Logger.cron(`[${this.name}] cron job execution started`);
 		const changelog = []; //for post-job reporting
@@ -110,6 +188,8 @@ export default class extends CronEvent {
 					classCode,
 					courseCode,
 					stage,
+					startDate = null,
+					endDate = null,
 					students,
 				} of classes.courseClasses) {
 					//TODO: implement try-catch?
@@ -123,7 +203,7 @@ export default class extends CronEvent {
 							class_id,
 							classCode,
 						});
-						const data = { name, slugId, classCode, courseCode, stage };
+						const data = { name, slugId, classCode, courseCode, stage, startDate, endDate };
 						//update db
 						await db.ref('classes').child(class_id).update(data);
 						//update local cache
@@ -155,6 +235,20 @@ export default class extends CronEvent {
 						});
 					}
 
+					// class dates were not always stored, and can be moved by the university
+					const cached_class = CRON_CLASS_STAGES.get(class_id);
+					if (cached_class?.startDate !== startDate || cached_class?.endDate !== endDate) {
+						Logger.cron(`[${this.name}] ${class_id} dates changed to ${startDate} - ${endDate}`);
+						//update db
+						await db.ref('classes').child(class_id).update({ startDate, endDate });
+						//update local cache
+						CRON_CLASS_STAGES.update(class_id, { startDate, endDate });
+						await CRON_CLASS_STAGES.writeCacheFile({
+							filepath: class_id,
+							data: CRON_CLASS_STAGES.get(class_id),
+						});
+					}
+
 					const old_user_classes = CRON_USER_CLASS_STATUSES.get(uid);
 					const new_user_status = students.find(({ userId }) => userId === halo_id)?.status ?? 'UNKNOWN';
 
@@ -212,6 +306,10 @@ export default class extends CronEvent {
 					// if new_status is null, it means halo completely removed user from class
 					await db.ref('class_users_map').child(class_id).child(uid).set(true);
 				}
+
+				await this.#syncCourseRoles({ uid, halo_id, classes: classes.courseClasses, changelog }).catch((e) =>
+					Logger.cron(`[${this.name}] Error while syncing ${uid}'s course roles: ${e}`)
+				);
 			} catch (e) {
 				if (e.code === 401)
 					Logger.cron(`[${this.name}] Received 401 while attempt to work with ${uid}'s cookie`);
@@ -15,7 +15,7 @@
  */
 
 import bot from '../../../bot';
-import { DiscordEvent, EmbedBase, Firebase, Halo, Logger } from '../../../classes';
+import { AnnouncementService, DiscordEvent, EmbedBase, Firebase, Halo, Logger } from '../../../classes';
 
 export default class extends DiscordEvent {
 	constructor() {
@@ -43,6 +43,7 @@ export default class extends DiscordEvent {
 				cookie: await Firebase.getUserCookie(intr.user.id),
 				post_id,
 			});
+			await AnnouncementService.recordAcknowledgement({ uid: intr.user.id, announcement_id: post_id });
 
 			// copy components, disable button, then update as "confirmation" to user
 			const components = intr.message.components;
@@ -0,0 +1,77 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import bot from '../../../bot';
+import { USER_INBOX } from '../../../caches';
+import { DiscordEvent, EmbedBase, Firebase, Halo, Logger } from '../../../classes';
+
+export default class extends DiscordEvent {
+	constructor() {
+		super({
+			name: 'acknowledgeInboxMessage',
+			description: 'Mark an inbox message as read',
+			event_type: 'interactionCreate',
+		});
+	}
+
+	async run(intr) {
+		if (!intr.isButton()) return;
+		// Ignore interactions from other bots
+		if (intr.user.bot) return;
+
+		// ignore non-inbox button clicks
+		// id should be structured: $inbox_{forumId}_{postId}
+		if (!intr.customId.startsWith('$inbox_')) return;
+
+		const [, forum_id, post_id] = intr.customId.split('_');
+
+		try {
+			Logger.cmd(`${intr.user.tag} (${intr.user.id})  clicked ${this.name} btn with id of ${intr.customId}`);
+			await Halo.acknowledgePost({
+				cookie: await Firebase.getUserCookie(intr.user.id),
+				post_id,
+			});
+
+			//keep the cached unread count in sync with Halo, which the watcher relies on to skip unchanged forums
+			const cached_posts = USER_INBOX.get([intr.user.id, forum_id], null);
+			if (cached_posts?.some(({ id }) => id === post_id)) {
+				const updated_posts = cached_posts.map((post) =>
+					post.id === post_id ? { ...post, isRead: true } : post
+				);
+				USER_INBOX.set([intr.user.id, forum_id], updated_posts);
+				await USER_INBOX.writeCacheFile({ filepath: `${intr.user.id}/${forum_id}.json`, data: updated_posts });
+			}
+
+			// copy components, disable button, then update as "confirmation" to user
+			const components = intr.message.components;
+			Object.assign(
+				components
+					.flatMap(({ components }) => components)
+					// api is weird and return customId if cached, custom_id otherwise
+					.find(({ custom_id, customId }) => (custom_id ?? customId) === intr.customId),
+				{ disabled: true, style: 'SUCCESS', label: 'Marked as Read', emoji: { name: '✅' } }
+			);
+			await intr.update({ components });
+		} catch (err) {
+			Logger.error(`Error with btn ${this.name} ${intr.customId}: ${err}`);
+			bot.intrReply({
+				intr,
+				ephemeral: true,
+				embed: new EmbedBase().ErrorDesc('I ran into an error while trying to perform that action'),
+			});
+		}
+	}
+}
@@ -0,0 +1,45 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import bot from '../../../bot';
+import { DiscordEvent, Logger } from '../../../classes';
+
+export default class extends DiscordEvent {
+	constructor() {
+		super({
+			name: 'autocomplete',
+			description: 'Receive and respond to slash command autocomplete requests',
+			event_type: 'interactionCreate',
+		});
+	}
+
+	async run(intr) {
+		if (!intr.isAutocomplete()) return;
+		// Ignore interactions from other bots
+		if (intr.user.bot) return;
+
+		const command = bot.commands.get(intr.commandName);
+		if (!command) return;
+
+		try {
+			await command.autocomplete({ intr, opts: intr.options });
+		} catch (err) {
+			Logger.error(`Error with autocomplete for cmd ${intr.commandName}: ${err}`);
+			// autocomplete interactions must be responded to, even if empty
+			!intr.responded && intr.respond([]).catch(() => {});
+		}
+	}
+}
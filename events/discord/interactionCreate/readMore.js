@@ -0,0 +1,63 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import bot from '../../../bot';
+import { DELIVERY_OVERFLOW } from '../../../caches';
+import { DeliveryService, DiscordEvent, EmbedBase, Logger } from '../../../classes';
+
+export default class extends DiscordEvent {
+	constructor() {
+		super({
+			name: 'readMore',
+			description: 'Show the rest of a notification that was too long to fit in one message',
+			event_type: 'interactionCreate',
+		});
+	}
+
+	async run(intr) {
+		if (!intr.isButton()) return;
+		// Ignore interactions from other bots
+		if (intr.user.bot) return;
+
+		// ignore non-read-more button clicks
+		// id should be structured: $readmore_{overflowId}
+		if (!intr.customId.startsWith('$readmore_')) return;
+
+		const [, overflow_id] = intr.customId.split('_');
+
+		try {
+			Logger.cmd(`${intr.user.tag} (${intr.user.id})  clicked ${this.name} btn with id of ${intr.customId}`);
+			const overflow = DELIVERY_OVERFLOW.get(overflow_id);
+			if (!overflow)
+				return bot.intrReply({
+					intr,
+					ephemeral: true,
+					embed: new EmbedBase().ErrorDesc('The rest of this notification is no longer available'),
+				});
+
+			for (const embeds of DeliveryService.splitPages(overflow.embeds))
+				await bot.intrReply({ intr, embeds, ephemeral: true, followUp: true });
+		} catch (err) {
+			Logger.error(`Error with btn ${this.name} ${intr.customId}: ${err}`);
+			bot.intrReply({
+				intr,
+				ephemeral: true,
+				followUp: intr.replied,
+				embed: new EmbedBase().ErrorDesc('I ran into an error while trying to perform that action'),
+			});
+		}
+	}
+}
@@ -0,0 +1,124 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import { encode } from 'html-entities';
+import bot from '../../../bot';
+import { USER_INBOX } from '../../../caches';
+import { DiscordEvent, EmbedBase, Firebase, Halo, Logger } from '../../../classes';
+
+export default class extends DiscordEvent {
+	constructor() {
+		super({
+			name: 'replyInboxMessage',
+			description: 'Reply to a Halo inbox message',
+			event_type: 'interactionCreate',
+		});
+	}
+
+	async run(intr) {
+		// Ignore interactions from other bots
+		if (intr.user.bot) return;
+
+		// button id should be structured: $reply_{forumId}
+		if (intr.isButton() && intr.customId.startsWith('$reply_')) return this.#showReplyModal(intr);
+		// modal id should be structured: $replymodal_{forumId}
+		if (intr.isModalSubmit() && intr.customId.startsWith('$replymodal_')) return this.#sendReply(intr);
+	}
+
+	async #showReplyModal(intr) {
+		const forum_id = intr.customId.split('_')[1];
+
+		try {
+			Logger.cmd(`${intr.user.tag} (${intr.user.id})  clicked ${this.name} btn with id of ${intr.customId}`);
+			await intr.showModal({
+				customId: `$replymodal_${forum_id}`,
+				title: 'Reply to Inbox Message',
+				components: [
+					{
+						type: 1,
+						components: [
+							{
+								type: 4,
+								style: 2,
+								custom_id: 'content',
+								label: 'Message',
+								placeholder: 'Attachments are not supported yet',
+								required: true,
+								max_length: 4000,
+							},
+						],
+					},
+				],
+			});
+		} catch (err) {
+			Logger.error(`Error with btn ${this.name} ${intr.customId}: ${err}`);
+			bot.intrReply({
+				intr,
+				ephemeral: true,
+				embed: new EmbedBase().ErrorDesc('I ran into an error while trying to perform that action'),
+			});
+		}
+	}
+
+	async #sendReply(intr) {
+		const { user } = intr;
+		const forum_id = intr.customId.split('_')[1];
+		const content = intr.fields.getTextInputValue('content').trim();
+
+		try {
+			Logger.cmd(`${user.tag} (${user.id}) submitted ${this.name} modal with id of ${intr.customId}`);
+			await intr.deferReply({ ephemeral: true });
+			const cookie = await Firebase.getUserCookie(user.id);
+			if (!cookie)
+				return bot.intrReply({
+					intr,
+					embed: new EmbedBase().ErrorDesc('Your account is currently not connected to Halo'),
+				});
+
+			const post = await Halo.createInboxPost({
+				cookie,
+				forumId: forum_id,
+				content: `<p>${encode(content).replaceAll('\n', '<br>')}</p>`,
+			});
+
+			//add the reply to the cache so the watcher doesn't treat it as a new message
+			const cached_posts = USER_INBOX.get([user.id, forum_id], null);
+			if (cached_posts !== null) {
+				const updated_posts = [{ ...post, isRead: true }, ...cached_posts];
+				USER_INBOX.set([user.id, forum_id], updated_posts);
+				await USER_INBOX.writeCacheFile({ filepath: `${user.id}/${forum_id}.json`, data: updated_posts });
+			}
+
+			return bot.intrReply({
+				intr,
+				embed: new EmbedBase({
+					description: '✅ **Your reply was sent**',
+				}).Success(),
+			});
+		} catch (err) {
+			Logger.error(`Error with modal ${this.name} ${intr.customId}: ${JSON.stringify(err)}`);
+			return bot.intrReply({
+				intr,
+				ephemeral: true,
+				embed: new EmbedBase().ErrorDesc(
+					err?.code === 401
+						? 'Your account is currently not connected to Halo'
+						: `Halo was unable to send your reply${!!err?.message ? `: ${err.message}` : ''}`
+				),
+			});
+		}
+	}
+}
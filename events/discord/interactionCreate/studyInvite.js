@@ -0,0 +1,186 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import bot from '../../../bot';
+import { DiscordEvent, EmbedBase, Firebase, Logger } from '../../../classes';
+
+//how long a user must wait before inviting the same classmate again
+const INVITE_COOLDOWN = 86400000; //24 hours
+
+export default class extends DiscordEvent {
+	#last_invites = new Map(); //'{sender}_{recipient}' -> when the sender last invited the recipient
+
+	constructor() {
+		super({
+			name: 'studyInvite',
+			description: 'Send, accept, and decline study group invites between classmates',
+			event_type: 'interactionCreate',
+		});
+	}
+
+	async run(intr) {
+		if (!intr.isButton()) return;
+		// Ignore interactions from other bots
+		if (intr.user.bot) return;
+
+		// ids should be structured: $study{invite|accept|decline}_{classId}_{uid}
+		const [action, class_id, uid] = intr.customId.split('_');
+		if (!['$studyinvite', '$studyaccept', '$studydecline'].includes(action)) return;
+
+		try {
+			Logger.cmd(`${intr.user.tag} (${intr.user.id})  clicked ${this.name} btn with id of ${intr.customId}`);
+			const course = (await Firebase.getActiveClasses())[class_id];
+			if (!course)
+				return bot.intrReply({
+					intr,
+					ephemeral: true,
+					embed: new EmbedBase().ErrorDesc('That class is no longer active'),
+				});
+
+			switch (action) {
+				case '$studyinvite':
+					return await this.#sendInvite({ intr, course, class_id, recipient_uid: uid });
+				case '$studyaccept':
+					return await this.#respondToInvite({ intr, course, sender_uid: uid, accepted: true });
+				case '$studydecline':
+					return await this.#respondToInvite({ intr, course, sender_uid: uid, accepted: false });
+			}
+		} catch (err) {
+			Logger.error(`Error with btn ${this.name} ${intr.customId}: ${err}`);
+			bot.intrReply({
+				intr,
+				ephemeral: true,
+				embed: new EmbedBase().ErrorDesc('I ran into an error while trying to perform that action'),
+			});
+		}
+	}
+
+	async #sendInvite({ intr, course, class_id, recipient_uid }) {
+		//re-check the directory in case either user has opted out since the list was shown
+		if (
+			!Firebase.isClassmatesOptIn(intr.user.id) ||
+			!Firebase.getClassmates({ uid: intr.user.id, class_id }).includes(recipient_uid)
+		)
+			return bot.intrReply({
+				intr,
+				ephemeral: true,
+				embed: new EmbedBase().ErrorDesc('That classmate is no longer in the directory'),
+			});
+
+		for (const [key, invited_on] of this.#last_invites)
+			if (Date.now() - invited_on > INVITE_COOLDOWN) this.#last_invites.delete(key);
+		const key = `${intr.user.id}_${recipient_uid}`;
+		if (this.#last_invites.has(key))
+			return bot.intrReply({
+				intr,
+				ephemeral: true,
+				embed: new EmbedBase().ErrorDesc(
+					`You already invited that classmate recently. You can invite them again ${bot.formatTimestamp(
+						this.#last_invites.get(key) + INVITE_COOLDOWN,
+						'R'
+					)}`
+				),
+			});
+
+		const recipient = await bot.users.fetch(recipient_uid);
+		//recorded before sending so that a second click can't send a duplicate invite
+		this.#last_invites.set(key, Date.now());
+		await recipient
+			.send({
+				embeds: [
+					new EmbedBase({
+						title: 'Study Group Invite',
+						description: `${bot.formatUser(intr.user)} invited you to study together for **${
+							course.courseCode
+						} - ${course.name}**`,
+					}),
+				],
+				components: [
+					{
+						components: [
+							{
+								type: 2,
+								style: 3,
+								custom_id: `$studyaccept_${class_id}_${intr.user.id}`,
+								label: 'Accept',
+							},
+							{
+								type: 2,
+								style: 4,
+								custom_id: `$studydecline_${class_id}_${intr.user.id}`,
+								label: 'Decline',
+							},
+						],
+						type: 1,
+					},
+				],
+			})
+			.catch((e) => {
+				this.#last_invites.delete(key);
+				throw e;
+			});
+
+		// copy components, disable button, then update as "confirmation" to user
+		const components = intr.message.components;
+		Object.assign(
+			components
+				.flatMap(({ components }) => components)
+				// api is weird and return customId if cached, custom_id otherwise
+				.find(({ custom_id, customId }) => (custom_id ?? customId) === intr.customId),
+			{ disabled: true, style: 'SUCCESS', label: `Invited ${recipient.username}`.substring(0, 80) }
+		);
+		await intr.update({ components });
+	}
+
+	async #respondToInvite({ intr, course, sender_uid, accepted }) {
+		await intr.update({
+			components: [
+				{
+					components: [
+						{
+							type: 2,
+							style: accepted ? 3 : 4,
+							custom_id: intr.customId,
+							label: accepted ? 'Accepted' : 'Declined',
+							disabled: true,
+						},
+					],
+					type: 1,
+				},
+			],
+		});
+		//the sender is only told about accepted invites
+		if (!accepted) return;
+
+		const sender = await bot.users.fetch(sender_uid);
+		await bot.sendDM({
+			user: sender,
+			send_disabled_msg: false,
+			embed: new EmbedBase({
+				description: `✅ ${bot.formatUser(intr.user)} accepted your study group invite for **${
+					course.courseCode
+				}**. Send them a message to get started!`,
+			}).Success(),
+		});
+		await bot.intrReply({
+			intr,
+			followUp: true,
+			embed: new EmbedBase({
+				description: `✅ **Invite accepted!** ${bot.formatUser(sender)} has been notified`,
+			}).Success(),
+		});
+	}
+}
@@ -58,13 +58,25 @@ class UserCreate extends FirebaseEvent {
 		//await mkdir('./' + relative(process.cwd(), 'cache/grade_notifications'), { recursive: true });
 		//const grade_nofitication_cache = [];
 		const { classes, userInfo } = await Halo.getUserOverview({ cookie, uid: halo_id });
-		for (const { id, name, slugId, classCode, courseCode, stage, students } of classes.courseClasses) {
+		for (const {
+			id,
+			name,
+			slugId,
+			classCode,
+			courseCode,
+			stage,
+			startDate = null,
+			endDate = null,
+			students,
+		} of classes.courseClasses) {
 			await db.ref('classes').child(id).update({
 				name,
 				slugId,
 				classCode,
 				courseCode,
 				stage,
+				startDate,
+				endDate,
 			});
 			await db
 				.ref('user_classes_map')
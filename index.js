@@ -24,8 +24,12 @@ import bot from './bot';
 import * as caches from './caches';
 import {
 	AnnouncementService,
+	CalendarService,
 	CookieManager,
+	DueDateService,
 	EmbedBase,
+	Firebase,
+	ForumService,
 	GradeService,
 	HaloWatcher,
 	InboxMessageService,
@@ -145,6 +149,7 @@ const init = async function () {
 	//import stores
 	const imported_stores = await Promise.all(Object.values(stores).map((store) => store.awaitReady()));
 	Logger.log(`Loaded ${imported_stores.length} stores`);
+	Logger.log(`Seeded ${await Firebase.seedDefaultSettings()} default settings`);
 
 	//import caches
 	const imported_caches = await Promise.all(Object.values(caches).map((cache) => cache.loadCacheFiles()));
@@ -153,13 +158,21 @@ const init = async function () {
 	// Instantiate the HaloWatcher
 	new HaloWatcher()
 		.on('announcement', AnnouncementService.processAnnouncement)
+		.on('announcement_updated', AnnouncementService.processAnnouncementUpdate)
+		.on('announcement_removed', AnnouncementService.processAnnouncementRemoval)
 		.on('grade', GradeService.processGrade)
-		.on('inbox_message', InboxMessageService.processInboxMessage);
+		.on('grade_updated', GradeService.processGradeUpdate)
+		.on('inbox_message', InboxMessageService.processInboxMessage)
+		.on('due_date', DueDateService.processDueDate)
+		.on('forum_post', ForumService.processForumPost);
 	Logger.log('HaloWatcher initialized');
 
 	// Instantiate the CookieWatcher
 	Logger.log(`CookieWatcher initialized with ${await CookieManager.init()} intervals`);
 
+	// Serve calendar subscriptions, if configured
+	CalendarService.listen();
+
 	Logger.log('Connecting to Discord...');
 	bot.login(process.env.BOT_TOKEN).then(() => {
 		Logger.log(
@@ -20,3 +20,5 @@ export const USER_CLASSES_MAP = new FirebaseStore({ path: 'user_classes_map' });
 export const CLASS_USERS_MAP = new FirebaseStore({ path: 'class_users_map' });
 export const USER_SETTINGS_STORE = new FirebaseStore({ path: 'user_settings' });
 export const DEFAULT_SETTINGS_STORE = new FirebaseStore({ path: 'default_settings' });
+// { classId: { channelId: { guild_id, created_by, created_on } } }
+export const CLASS_CHANNELS_STORE = new FirebaseStore({ path: 'class_channels' });
@@ -0,0 +1,118 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { deleteApp } from 'firebase-admin/app';
+import bot from '../bot.js';
+import { DELIVERY_OVERFLOW } from '../caches.js';
+import { DeliveryService, EmbedBase } from '../classes/index.js';
+import { apps } from '../firebase.js';
+
+/**
+ * @param {Object} embed
+ * @returns {number} The number of characters Discord counts towards an embed's limit
+ */
+const countCharacters = function (embed) {
+	return (
+		(embed.title?.length || 0) +
+		(embed.description?.length || 0) +
+		(embed.footer?.text?.length || 0) +
+		(embed.fields ?? []).reduce((acc, f) => acc + f.name.length + f.value.length, 0)
+	);
+};
+
+/**
+ * @param {Object[]} page
+ */
+const assertWithinLimits = function (page) {
+	assert.ok(page.length <= 10);
+	assert.ok(page.reduce((acc, embed) => acc + countCharacters(embed), 0) <= 6000);
+};
+
+describe('DeliveryService', () => {
+	before(() => {
+		bot.user = { avatarURL: () => null };
+	});
+	//the firebase app would otherwise keep the test process alive
+	after(() => Promise.all(apps.map((app) => deleteApp(app))));
+
+	describe('splitPages', () => {
+		it('puts at most 10 embeds on a page', () => {
+			const embeds = Array.from({ length: 23 }, (_, i) => new EmbedBase({ description: `${i}` }));
+			const pages = DeliveryService.splitPages(embeds);
+			assert.deepEqual(
+				pages.map((page) => page.length),
+				[10, 10, 3]
+			);
+			assert.deepEqual(pages.flat(), embeds);
+		});
+
+		it('keeps each page within 6000 characters', () => {
+			const embeds = Array.from({ length: 6 }, () => new EmbedBase({ description: 'x'.repeat(2500) }));
+			const pages = DeliveryService.splitPages(embeds);
+			assert.equal(pages.length, 3);
+			pages.forEach(assertWithinLimits);
+			assert.deepEqual(pages.flat(), embeds);
+		});
+
+		it('splits the embeds of a long EmbedBase across pages', () => {
+			const embeds = new EmbedBase({
+				fields: Array.from({ length: 20 }, (_, i) => ({ name: `Field ${i}`, value: `${i}`.padEnd(1000, 'x') })),
+			});
+			assert.ok(Array.isArray(embeds));
+			const pages = DeliveryService.splitPages(embeds);
+			assert.ok(pages.length > 1);
+			pages.forEach(assertWithinLimits);
+			assert.deepEqual(pages.flat(), embeds);
+		});
+	});
+
+	describe('paginate', () => {
+		it('leaves a message that fits unchanged', async () => {
+			const message = {
+				content: 'Content',
+				embeds: [new EmbedBase({ description: 'Short' })],
+				components: [{ type: 1, components: [] }],
+			};
+			assert.deepEqual(await DeliveryService.paginate(message), message);
+		});
+
+		it('stores the embeds that do not fit behind a "Read More" button', async () => {
+			const embeds = new EmbedBase({
+				description: Array.from({ length: 40 }, () => 'x'.repeat(1000)).join('\n'),
+			});
+			const button = { type: 2, style: 5, label: 'View Grade', url: 'https://halo.gcu.edu' };
+			const message = await DeliveryService.paginate({
+				embeds: [embeds],
+				components: [{ type: 1, components: [button] }],
+			});
+
+			assertWithinLimits(message.embeds);
+			const [{ components }] = message.components;
+			assert.equal(components.length, 2);
+			assert.deepEqual(components[0], button);
+			assert.equal(components[1].label, 'Read More');
+
+			const id = components[1].custom_id.replace('$readmore_', '');
+			const overflow = DELIVERY_OVERFLOW.get(id);
+			await DELIVERY_OVERFLOW.deleteCacheFile({ filepath: id });
+			DELIVERY_OVERFLOW.delete(id);
+			assert.deepEqual([...message.embeds, ...overflow.embeds], embeds);
+			DeliveryService.splitPages(overflow.embeds).forEach(assertWithinLimits);
+		});
+	});
+});
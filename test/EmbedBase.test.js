@@ -0,0 +1,151 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { deleteApp } from 'firebase-admin/app';
+import bot from '../bot.js';
+import { EmbedBase } from '../classes/index.js';
+import { apps } from '../firebase.js';
+
+/**
+ * @param {number} count
+ * @param {number} length
+ * @returns {string} `count` lines of `length` characters each, every one of them distinct
+ */
+const lines = function (count, length) {
+	return Array.from({ length: count }, (_, i) => `${i}:`.padEnd(length, 'x')).join('\n');
+};
+
+/**
+ * @param {string} text
+ * @returns {string} The text without whitespace, which splitting is allowed to change
+ */
+const content = function (text) {
+	return text.replace(/\s/g, '');
+};
+
+/**
+ * @param {EmbedBase} embed
+ */
+const assertWithinLimits = function (embed) {
+	assert.ok(!embed.title || embed.title.length <= 256);
+	assert.ok(!embed.description || embed.description.length <= 4096);
+	assert.ok(embed.fields.length <= 25);
+	for (const { name, value } of embed.fields) {
+		assert.ok(name.length <= 256);
+		assert.ok(value.length <= 1024);
+	}
+	assert.ok(embed.char_count <= 6000);
+};
+
+describe('EmbedBase', () => {
+	before(() => {
+		bot.user = { avatarURL: () => null };
+	});
+	//the firebase app would otherwise keep the test process alive
+	after(() => Promise.all(apps.map((app) => deleteApp(app))));
+
+	describe('splitText', () => {
+		it('splits on newlines without losing any text', () => {
+			const text = lines(20, 300);
+			const parts = new EmbedBase().splitText(text, 1024);
+			assert.ok(parts.length > 1);
+			assert.ok(parts.every((part) => part.length <= 1024));
+			assert.equal(content(parts.join('')), content(text));
+		});
+
+		it('cuts words that are longer than the limit', () => {
+			const text = 'a'.repeat(2500);
+			const parts = new EmbedBase().splitText(text, 1024);
+			assert.ok(parts.every((part) => part.length <= 1024));
+			assert.equal(content(parts.join('')), text);
+		});
+	});
+
+	describe('splitField', () => {
+		it('splits a value over the field limit into numbered fields', () => {
+			const value = lines(10, 300);
+			const fields = new EmbedBase().splitField({ name: 'Feedback', value });
+			assert.equal(fields.length, 4);
+			assert.deepEqual(
+				fields.map(({ name }) => name),
+				['Feedback (1 of 4)', 'Feedback (2 of 4)', 'Feedback (3 of 4)', 'Feedback (4 of 4)']
+			);
+			assert.ok(fields.every(({ value }) => value.length <= 1024));
+			assert.equal(content(fields.map(({ value }) => value).join('')), content(value));
+		});
+	});
+
+	describe('cleanup', () => {
+		it('returns a single embed when it is within the limits', () => {
+			const embed = new EmbedBase({ description: 'Short', fields: [{ name: 'Field', value: 'Value' }] });
+			assert.ok(embed instanceof EmbedBase);
+			assert.equal(embed.description, 'Short');
+			assert.deepEqual(
+				embed.fields.map(({ name, value }) => [name.trim(), value]),
+				[['Field', 'Value']]
+			);
+		});
+
+		it('continues a description over 4096 characters in fields', () => {
+			const description = lines(10, 500);
+			const embed = new EmbedBase({ description });
+			assert.ok(embed instanceof EmbedBase);
+			assertWithinLimits(embed);
+			assert.equal(
+				content(embed.description + embed.fields.map(({ value }) => value).join('')),
+				content(description)
+			);
+		});
+
+		it('splits an embed over 6000 characters without losing any text', () => {
+			const description = lines(20, 500);
+			const value = lines(10, 400);
+			const embeds = new EmbedBase({
+				title: 'Title',
+				description,
+				fields: [{ name: 'Feedback', value }],
+				color: EmbedBase.COLORS.WARN,
+			});
+			assert.ok(Array.isArray(embeds));
+			assert.ok(embeds.length > 1);
+			embeds.forEach(assertWithinLimits);
+			assert.equal(embeds[0].title, 'Title');
+			assert.ok(embeds.every(({ color }) => color === EmbedBase.COLORS.WARN));
+			assert.equal(
+				content(
+					embeds
+						.map((embed) => (embed.description ?? '') + embed.fields.map(({ value }) => value).join(''))
+						.join('')
+				),
+				content(description + value)
+			);
+		});
+
+		it('splits an embed with more than 25 fields without losing any', () => {
+			const fields = Array.from({ length: 60 }, (_, i) => ({ name: `Field ${i}`, value: `Value ${i}` }));
+			const embeds = new EmbedBase({ fields });
+			assert.ok(Array.isArray(embeds));
+			assert.equal(embeds.length, 3);
+			embeds.forEach(assertWithinLimits);
+			assert.deepEqual(
+				embeds.flatMap((embed) => embed.fields.map(({ value }) => value)),
+				fields.map(({ value }) => value)
+			);
+		});
+	});
+});
@@ -0,0 +1,56 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+import { MarkdownService } from '../classes/services/MarkdownService.js';
+//each `<name>.html` fixture is converted and compared against `<name>.md`
+const FIXTURES_DIR = new URL('./fixtures/markdown/', import.meta.url);
+
+describe('MarkdownService.fromHtml', () => {
+	for (const file of readdirSync(FIXTURES_DIR).filter((file) => file.endsWith('.html'))) {
+		const name = file.slice(0, -'.html'.length);
+		it(`converts the ${name} fixture`, () => {
+			const html = readFileSync(new URL(file, FIXTURES_DIR), 'utf8');
+			const expected = readFileSync(new URL(`${name}.md`, FIXTURES_DIR), 'utf8').replace(/\n$/, '');
+			assert.equal(MarkdownService.fromHtml(html).text, expected);
+		});
+	}
+
+	it('keeps the line breaks of plain text', () => {
+		assert.equal(MarkdownService.fromHtml('line one\nline two').text, 'line one\nline two');
+	});
+
+	it('collapses line breaks in HTML text', () => {
+		assert.equal(MarkdownService.fromHtml('<span>line one\nline two</span>').text, 'line one line two');
+	});
+
+	it('separates consecutive paragraphs with a blank line', () => {
+		assert.equal(MarkdownService.fromHtml('<p>one</p><p>two</p><p>three</p>').text, 'one\n\ntwo\n\nthree');
+	});
+
+	it('extracts every image, resolved against Halo', () => {
+		const { text, images } = MarkdownService.fromHtml(readFileSync(new URL('images.html', FIXTURES_DIR), 'utf8'));
+		assert.equal(text, 'Here is the diagram:');
+		assert.deepEqual(images, ['https://halo.gcu.edu/resources/diagram.png', 'https://example.com/chart.jpg']);
+	});
+
+	it('handles missing content', () => {
+		assert.deepEqual(MarkdownService.fromHtml(undefined), { text: '', images: [] });
+		assert.deepEqual(MarkdownService.fromHtml(null), { text: '', images: [] });
+	});
+});
@@ -0,0 +1,30 @@
+/*
+ * Copyright (C) 2024 Elijah Olmos
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+//resolves the extensionless and directory imports used throughout the bot, like `--experimental-specifier-resolution=node` in `npm start`
+export const resolve = async function (specifier, context, next) {
+	try {
+		return await next(specifier, context);
+	} catch (e) {
+		if (!specifier.startsWith('.') || !['ERR_MODULE_NOT_FOUND', 'ERR_UNSUPPORTED_DIR_IMPORT'].includes(e?.code))
+			throw e;
+		for (const suffix of ['.js', '/index.js'])
+			try {
+				return await next(specifier.replace(/\/$/, '') + suffix, context);
+			} catch {}
+		throw e;
+	}
+};